@@ -0,0 +1,315 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Worker } = require('worker_threads');
+
+// Runs chat code blocks for POST /run. JavaScript gets a worker thread (with a V8 heap cap) running the
+// code in a vm context. Python only runs inside an OS sandbox (PYTHON_SANDBOX, see below): the rlimits
+// and audit hook in the bootstrap are a second layer, not the boundary. Neither sees the server's
+// environment.
+const PYTHON_PATH = process.env.PYTHON_PATH || 'python3';
+// How Python is isolated. Unset: Python runs are refused. "bwrap": bubblewrap with every namespace
+// unshared (so no network), nobody's uid, read-only system directories and only the run's temp dir
+// writable. Anything else is a JSON array used as the command prefix (nsjail, a container runtime...);
+// "{workdir}" in it is replaced with the run's temp dir, and python's own arguments are appended.
+const PYTHON_SANDBOX = (process.env.PYTHON_SANDBOX || '').trim();
+const BWRAP_READONLY_PATHS = ['/usr', '/lib', '/lib64', '/bin', '/etc/alternatives', '/etc/ld.so.cache', '/etc/localtime'];
+const RUN_TIMEOUT_MS = Number(process.env.RUN_TIMEOUT_MS) || 10000;
+const RUN_CPU_SECONDS = Math.max(1, Math.ceil(RUN_TIMEOUT_MS / 2000));
+const RUN_MEMORY_MB = 256;
+const RUN_JS_HEAP_MB = 64;
+const RUN_MAX_OUTPUT_BYTES = 64 * 1024;
+const RUN_MAX_FILE_BYTES = 1024 * 1024;
+
+const RUN_LANGUAGES = {
+    javascript: 'javascript',
+    js: 'javascript',
+    node: 'javascript',
+    python: 'python',
+    py: 'python',
+    python3: 'python'
+};
+
+// Worker script. It strips everything dangerous from the worker's own global object first, because
+// vm contexts aren't a security boundary: `this.constructor.constructor('return this')()` reaches it.
+const JS_WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+const util = require('util');
+const proc = process;
+
+for (const name of ['process', 'require', 'module', 'exports', '__filename', '__dirname', 'Buffer', 'fetch',
+    'Request', 'Response', 'Headers', 'FormData', 'WebSocket', 'EventSource', 'BroadcastChannel',
+    'MessageChannel', 'MessagePort', 'MessageEvent']) {
+    delete globalThis[name];
+}
+
+const write = (stream, args) => {
+    const text = args.map((arg) => (typeof arg === 'string' ? arg : util.inspect(arg, { depth: 4 }))).join(' ');
+    parentPort.postMessage({ stream, text: text + '\\n' });
+};
+// Only frames from the user's code are worth showing.
+const formatError = (error) => {
+    if (!error || typeof error !== 'object' || typeof error.stack !== 'string') return 'Uncaught ' + util.inspect(error);
+    const frames = error.stack.split('\\n').filter((line) => /^\\s+at .*main\\.js/.test(line));
+    return [(error.name || 'Error') + ': ' + error.message, ...frames].join('\\n');
+};
+
+const sandbox = {
+    console: {
+        log: (...args) => write('stdout', args),
+        info: (...args) => write('stdout', args),
+        debug: (...args) => write('stdout', args),
+        warn: (...args) => write('stderr', args),
+        error: (...args) => write('stderr', args),
+        table: (...args) => write('stdout', args)
+    },
+    setTimeout, clearTimeout, setInterval, clearInterval, queueMicrotask, structuredClone
+};
+vm.createContext(sandbox, { codeGeneration: { wasm: false } });
+
+let { code } = workerData;
+let lineOffset = 0;
+// Let snippets use top-level await.
+if (/\\bawait\\b/.test(code)) {
+    code = '(async () => {\\n' + code + '\\n})()';
+    lineOffset = -1;
+}
+
+const fail = (error) => {
+    parentPort.postMessage({ stream: 'stderr', text: formatError(error) + '\\n' });
+    proc.exitCode = 1;
+};
+try {
+    const result = vm.runInContext(code, sandbox, { filename: 'main.js', lineOffset, timeout: workerData.timeoutMs });
+    if (result && typeof result.then === 'function') result.then(null, fail);
+} catch (error) {
+    fail(error);
+}
+`;
+
+// Appends to a capped output buffer. Returns false once the cap is hit.
+function createOutput() {
+    const output = { stdout: '', stderr: '', truncated: false };
+    output.append = (stream, text) => {
+        const room = RUN_MAX_OUTPUT_BYTES - output.stdout.length - output.stderr.length;
+        if (text.length > room) {
+            output[stream] += text.slice(0, Math.max(0, room));
+            output.truncated = true;
+            return false;
+        }
+        output[stream] += text;
+        return true;
+    };
+    return output;
+}
+
+function runJavaScript(code) {
+    return new Promise((resolve) => {
+        const startedAt = Date.now();
+        const output = createOutput();
+        let timedOut = false;
+        let failed = false;
+        let stopped = false;
+        const stop = () => {
+            if (stopped) return;
+            stopped = true;
+            worker.terminate();
+        };
+        const worker = new Worker(JS_WORKER_SOURCE, {
+            eval: true,
+            env: {},
+            workerData: { code, timeoutMs: RUN_TIMEOUT_MS },
+            resourceLimits: { maxOldGenerationSizeMb: RUN_JS_HEAP_MB, maxYoungGenerationSizeMb: 16, stackSizeMb: 4 }
+        });
+        const timer = setTimeout(() => {
+            timedOut = true;
+            stop();
+        }, RUN_TIMEOUT_MS);
+
+        worker.on('message', ({ stream, text }) => {
+            if (!output.append(stream === 'stderr' ? 'stderr' : 'stdout', String(text))) stop();
+        });
+        worker.on('error', (error) => {
+            failed = true;
+            output.append('stderr', error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                ? `Out of memory (limit ${RUN_JS_HEAP_MB} MB)\n`
+                : `${error.name || 'Error'}: ${error.message}\n`);
+        });
+        worker.on('exit', (exitCode) => {
+            clearTimeout(timer);
+            resolve({
+                stdout: output.stdout,
+                stderr: output.stderr,
+                exitCode: timedOut || output.truncated ? null : (failed && !exitCode ? 1 : exitCode),
+                timedOut,
+                truncated: output.truncated,
+                durationMs: Date.now() - startedAt
+            });
+        });
+    });
+}
+
+// Bootstrap run with `python -I -c`. Limits are applied before the user's file is read, and the audit
+// hook can't be removed once installed. Args: cpu seconds, address-space bytes, max file bytes.
+const PYTHON_BOOTSTRAP = `
+import os, sys, resource, traceback
+cpu, memory, file_size = (int(value) for value in sys.argv[1:4])
+resource.setrlimit(resource.RLIMIT_CPU, (cpu, cpu + 1))
+resource.setrlimit(resource.RLIMIT_AS, (memory, memory))
+resource.setrlimit(resource.RLIMIT_FSIZE, (file_size, file_size))
+resource.setrlimit(resource.RLIMIT_CORE, (0, 0))
+
+workdir = os.path.realpath(os.getcwd())
+with open('main.py', encoding='utf-8') as source_file:
+    source = source_file.read()
+read_roots = {workdir, '/usr/share/zoneinfo', '/dev/null', '/dev/urandom'}
+for entry in [sys.prefix, sys.base_prefix, sys.exec_prefix, *sys.path]:
+    if entry:
+        read_roots.add(os.path.realpath(entry))
+read_roots = tuple(read_roots)
+
+BLOCKED_EVENTS = {'subprocess.Popen', 'os.system', 'os.exec', 'os.fork', 'os.forkpty', 'os.posix_spawn',
+    'os.spawn', 'os.kill', 'os.killpg', 'pty.spawn', 'ctypes.dlopen', 'ctypes.dlsym', 'ctypes.cdata',
+    'sys.remote_exec', 'webbrowser.open', '_posixsubprocess.fork_exec'}
+PATH_EVENTS = {'os.remove', 'os.rename', 'os.rmdir', 'os.mkdir', 'os.chmod', 'os.chown', 'os.symlink',
+    'os.link', 'os.truncate', 'os.utime', 'shutil.rmtree', 'shutil.move', 'shutil.copyfile'}
+BLOCKED_MODULES = {'ctypes', '_ctypes', '_posixsubprocess', 'posix', 'nt', '_winapi', 'subprocess', 'multiprocessing'}
+
+def inside(path, roots):
+    real = os.path.realpath(os.fsdecode(path))
+    return any(real == root or real.startswith(root + os.sep) for root in roots)
+
+def audit(event, args):
+    if event in BLOCKED_EVENTS or event.startswith('socket.'):
+        raise PermissionError(event + ' is not allowed in the sandbox')
+    if event == 'import' and args[0] in BLOCKED_MODULES:
+        raise ImportError(args[0] + ' is not available in the sandbox')
+    if event == 'open':
+        path, mode, flags = args
+        if not isinstance(path, (str, bytes)):
+            return
+        writing = (mode and any(ch in str(mode) for ch in 'wax+')) or (flags or 0) & (os.O_WRONLY | os.O_RDWR | os.O_CREAT | os.O_APPEND)
+        if not inside(path, (workdir,) if writing else read_roots):
+            raise PermissionError('access to ' + os.fsdecode(path) + ' is not allowed in the sandbox')
+    elif event in PATH_EVENTS:
+        for arg in args:
+            if isinstance(arg, (str, bytes)) and not inside(arg, (workdir,)):
+                raise PermissionError(event + ' outside the working directory is not allowed')
+
+sys.addaudithook(audit)
+del resource
+sys.argv = ['main.py']
+namespace = {'__name__': '__main__', '__file__': 'main.py', '__builtins__': __builtins__}
+try:
+    exec(compile(source, 'main.py', 'exec'), namespace)
+except SystemExit:
+    raise
+except BaseException as error:
+    traceback.print_exception(type(error), error, error.__traceback__.tb_next)
+    sys.exit(1)
+`;
+
+function createRunError(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+// [command, ...args] that starts `pythonArgs` inside the configured sandbox.
+function buildSandboxCommand(workDir, pythonArgs) {
+    if (PYTHON_SANDBOX === 'bwrap') {
+        return [
+            'bwrap', '--unshare-all', '--die-with-parent', '--new-session', '--clearenv',
+            '--uid', '65534', '--gid', '65534',
+            ...BWRAP_READONLY_PATHS.flatMap((dir) => ['--ro-bind-try', dir, dir]),
+            '--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp',
+            '--bind', workDir, workDir, '--chdir', workDir,
+            '--setenv', 'PATH', '/usr/bin:/bin', '--setenv', 'HOME', workDir, '--setenv', 'LANG', 'C.UTF-8',
+            PYTHON_PATH, ...pythonArgs
+        ];
+    }
+    let prefix;
+    try {
+        prefix = JSON.parse(PYTHON_SANDBOX);
+    } catch (err) {
+        prefix = null;
+    }
+    if (!Array.isArray(prefix) || !prefix.length || !prefix.every((part) => typeof part === 'string')) {
+        throw createRunError('PYTHON_SANDBOX must be "bwrap" or a JSON array command.', 500);
+    }
+    return [...prefix.map((part) => part.split('{workdir}').join(workDir)), PYTHON_PATH, ...pythonArgs];
+}
+
+async function runPython(code) {
+    if (!PYTHON_SANDBOX) {
+        throw createRunError('Python runs are turned off on this server.', 501);
+    }
+    const startedAt = Date.now();
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'graxybot-run-'));
+    try {
+        await fs.promises.writeFile(path.join(workDir, 'main.py'), code);
+        const [command, ...args] = buildSandboxCommand(workDir, [
+            '-I', '-B', '-X', 'utf8', '-c', PYTHON_BOOTSTRAP,
+            String(RUN_CPU_SECONDS), String(RUN_MEMORY_MB * 1024 * 1024), String(RUN_MAX_FILE_BYTES)
+        ]);
+        return await new Promise((resolve, reject) => {
+            const output = createOutput();
+            const child = spawn(command, args, {
+                cwd: workDir,
+                env: { PATH: process.env.PATH || '/usr/bin:/bin', HOME: workDir, LANG: 'C.UTF-8' },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGKILL');
+            }, RUN_TIMEOUT_MS);
+
+            const collect = (stream) => (chunk) => {
+                if (!output.append(stream, chunk.toString())) child.kill('SIGKILL');
+            };
+            child.stdout.on('data', collect('stdout'));
+            child.stderr.on('data', collect('stderr'));
+            let spawnFailed = false;
+            child.on('error', (error) => {
+                spawnFailed = true;
+                clearTimeout(timer);
+                reject(error.code === 'ENOENT' ? createRunError(`${command} is not installed on the server.`, 501) : error);
+            });
+            child.on('close', (exitCode, signal) => {
+                clearTimeout(timer);
+                if (spawnFailed) return;
+                // RLIMIT_CPU ends the process with SIGXCPU.
+                const cpuExceeded = signal === 'SIGXCPU';
+                if (cpuExceeded) output.append('stderr', `CPU time limit exceeded (${RUN_CPU_SECONDS}s)\n`);
+                resolve({
+                    stdout: output.stdout,
+                    stderr: output.stderr,
+                    exitCode: signal ? null : exitCode,
+                    timedOut: timedOut || cpuExceeded,
+                    truncated: output.truncated,
+                    durationMs: Date.now() - startedAt
+                });
+            });
+        });
+    } finally {
+        fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+// Maps a code fence language to a runner, or null if it can't be run.
+function resolveRunLanguage(language) {
+    return RUN_LANGUAGES[String(language || '').toLowerCase()] || null;
+}
+
+// Resolves with { stdout, stderr, exitCode, timedOut, truncated, durationMs }. exitCode is null when
+// the run was killed (time limit or output cap).
+function runCode(language, code) {
+    return language === 'python' ? runPython(code) : runJavaScript(code);
+}
+
+module.exports = {
+    RUN_TIMEOUT_MS,
+    resolveRunLanguage,
+    runCode
+};
@@ -0,0 +1,156 @@
+// Helpers for versioned web design projects: applying the model's targeted edits to the latest
+// version, line diffs between versions, and the CSP the hosted previews are served with.
+
+// Previews run the model's HTML, so they get an opaque origin (CSP sandbox without allow-same-origin)
+// and can only load the CDNs the design prompt allows: no fetch/XHR, no forms, no framing by other sites.
+const PREVIEW_CSP = [
+    'sandbox allow-scripts allow-popups allow-popups-to-escape-sandbox',
+    "default-src 'none'",
+    "script-src 'unsafe-inline' https://cdnjs.cloudflare.com",
+    "style-src 'unsafe-inline' https://fonts.googleapis.com https://cdnjs.cloudflare.com",
+    'font-src https://fonts.gstatic.com https://cdnjs.cloudflare.com data:',
+    'img-src https: data: blob:',
+    'media-src https: data:',
+    "connect-src 'none'",
+    "form-action 'none'",
+    "base-uri 'none'",
+    "frame-ancestors 'self'"
+].join('; ');
+
+const DIFF_CONTEXT_LINES = 3;
+const DIFF_MAX_CELLS = 4000000; // LCS table size before we fall back to "everything in between changed"
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Finds `search` in `html`. Exact matches win; otherwise runs of whitespace may differ, since models
+// often re-indent the snippet they quote. Returns { index, length } or { error }.
+function locateSnippet(html, search) {
+    const first = html.indexOf(search);
+    if (first !== -1) {
+        if (html.indexOf(search, first + 1) !== -1) {
+            return { error: 'matches more than one place in the page; quote more surrounding lines.' };
+        }
+        return { index: first, length: search.length };
+    }
+    const words = search.trim().split(/\s+/).filter(Boolean);
+    if (!words.length) return { error: 'is empty.' };
+    const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'g');
+    const matches = [...html.matchAll(pattern)];
+    if (matches.length === 0) return { error: 'was not found in the current version.' };
+    if (matches.length > 1) return { error: 'matches more than one place in the page; quote more surrounding lines.' };
+    return { index: matches[0].index, length: matches[0][0].length };
+}
+
+// Applies [{ search, replace }] in order. All or nothing: returns { html } or { error, editIndex }.
+function applyHtmlEdits(html, edits) {
+    let result = html;
+    for (const [editIndex, edit] of edits.entries()) {
+        if (!edit || typeof edit.search !== 'string' || typeof edit.replace !== 'string') {
+            return { error: `Edit ${editIndex + 1} needs search and replace strings.`, editIndex };
+        }
+        const found = locateSnippet(result, edit.search);
+        if (found.error) {
+            return { error: `Edit ${editIndex + 1} ${found.error}`, editIndex };
+        }
+        result = result.slice(0, found.index) + edit.replace + result.slice(found.index + found.length);
+    }
+    return { html: result };
+}
+
+// Line operations between two arrays: [{ type: ' ' | '-' | '+', text }].
+function diffLineArrays(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const head = before.slice(0, start).map((text) => ({ type: ' ', text }));
+    const tail = before.slice(endBefore).map((text) => ({ type: ' ', text }));
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+        return [...head, ...a.map((text) => ({ type: '-', text })), ...b.map((text) => ({ type: '+', text })), ...tail];
+    }
+
+    // Classic LCS table over the changed middle, walked forwards.
+    const width = b.length + 1;
+    const table = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i * width + j] = a[i] === b[j]
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+    }
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            middle.push({ type: ' ', text: a[i] });
+            i++;
+            j++;
+        } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+            middle.push({ type: '-', text: a[i++] });
+        } else {
+            middle.push({ type: '+', text: b[j++] });
+        }
+    }
+    while (i < a.length) middle.push({ type: '-', text: a[i++] });
+    while (j < b.length) middle.push({ type: '+', text: b[j++] });
+    return [...head, ...middle, ...tail];
+}
+
+// Unified-diff style hunks with a few lines of context:
+// { added, removed, hunks: [{ fromLine, toLine, lines: [{ type, text }] }] } (line numbers are 1-based).
+function diffHtml(beforeHtml, afterHtml) {
+    const ops = diffLineArrays(beforeHtml.split(/\r\n|\r|\n/), afterHtml.split(/\r\n|\r|\n/));
+    const hunks = [];
+    let added = 0;
+    let removed = 0;
+    let fromLine = 1;
+    let toLine = 1;
+    let current = null;
+    let trailingContext = 0;
+
+    ops.forEach((op, index) => {
+        if (op.type !== ' ') {
+            if (op.type === '+') added++;
+            else removed++;
+            if (!current) {
+                const contextStart = Math.max(0, index - DIFF_CONTEXT_LINES);
+                const context = ops.slice(contextStart, index);
+                current = { fromLine: fromLine - context.length, toLine: toLine - context.length, lines: [...context] };
+                hunks.push(current);
+            }
+            current.lines.push(op);
+            trailingContext = 0;
+        } else if (current) {
+            // Keep going while the next change is close enough to share this hunk's context.
+            const nextChange = ops.findIndex((next, nextIndex) => nextIndex > index && next.type !== ' ');
+            if (trailingContext < DIFF_CONTEXT_LINES || (nextChange !== -1 && nextChange - index <= DIFF_CONTEXT_LINES)) {
+                current.lines.push(op);
+                trailingContext++;
+            } else {
+                current = null;
+            }
+        }
+        if (op.type !== '+') fromLine++;
+        if (op.type !== '-') toLine++;
+    });
+
+    return { added, removed, hunks };
+}
+
+module.exports = {
+    PREVIEW_CSP,
+    applyHtmlEdits,
+    diffHtml
+};
@@ -0,0 +1,133 @@
+const { requestUpstream } = require('./upstream');
+
+const ELEVENLABS_BASE_URL = 'https://api.elevenlabs.io/v1';
+const ELEVENLABS_MODEL_ID = 'eleven_multilingual_v2';
+// 'Rachel' unless ELEVENLABS_VOICE_ID says otherwise. Voice IDs are listed in the ElevenLabs dashboard.
+const DEFAULT_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM';
+const DEFAULT_STABILITY = 0.75;
+const DEFAULT_SIMILARITY = 0.75;
+const VOICE_ID_PATTERN = /^[A-Za-z0-9]{8,64}$/;
+const LINE_PAUSE_SECONDS = 0.25;
+const TTS_TIMEOUT_MS = 60000;
+
+function readUnitInterval(value, fallback, name) {
+    if (value === undefined || value === null || value === '') return { value: fallback };
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > 1) {
+        return { error: `${name} must be a number between 0 and 1.` };
+    }
+    return { value: number };
+}
+
+// Pulls voiceId/stability/similarity out of a request body, falling back to the server defaults.
+// Returns { voiceId, stability, similarity } or { error } for a bad value.
+function resolveVoiceSettings(body = {}) {
+    const voiceId = body.voiceId || DEFAULT_VOICE_ID;
+    if (typeof voiceId !== 'string' || !VOICE_ID_PATTERN.test(voiceId)) {
+        return { error: 'voiceId is not a valid ElevenLabs voice ID.' };
+    }
+    const stability = readUnitInterval(body.stability, DEFAULT_STABILITY, 'stability');
+    if (stability.error) return stability;
+    const similarity = readUnitInterval(body.similarity, DEFAULT_SIMILARITY, 'similarity');
+    if (similarity.error) return similarity;
+    return { voiceId, stability: stability.value, similarity: similarity.value };
+}
+
+function buildTtsPayload(text, settings) {
+    return {
+        text,
+        model_id: ELEVENLABS_MODEL_ID,
+        voice_settings: {
+            stability: settings.stability,
+            similarity_boost: settings.similarity
+        }
+    };
+}
+
+// Plain MP3 for a piece of text. Aborting `signal` cancels the request.
+async function synthesizeSpeech(apiKey, text, settings, { signal } = {}) {
+    const response = await requestUpstream('elevenlabs', {
+        method: 'post',
+        url: `${ELEVENLABS_BASE_URL}/text-to-speech/${settings.voiceId}`,
+        headers: {
+            'Accept': 'audio/mpeg',
+            'Content-Type': 'application/json',
+            'xi-api-key': apiKey
+        },
+        data: buildTtsPayload(text, settings),
+        responseType: 'arraybuffer',
+        signal
+    }, { timeoutMs: TTS_TIMEOUT_MS });
+    return response.data;
+}
+
+// ElevenLabs aligns audio per character; group runs of non-space characters into words.
+function buildWordTimings(alignment) {
+    const characters = alignment?.characters || [];
+    const starts = alignment?.character_start_times_seconds || [];
+    const ends = alignment?.character_end_times_seconds || [];
+    const words = [];
+    let current = null;
+    characters.forEach((char, index) => {
+        if (/\s/.test(char)) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { word: '', start: starts[index] ?? 0, end: ends[index] ?? 0 };
+            words.push(current);
+        }
+        current.word += char;
+        current.end = ends[index] ?? current.end;
+    });
+    return words;
+}
+
+// MP3 (base64) plus word-level timestamps, in seconds from the start of this clip.
+async function synthesizeWithTimestamps(apiKey, text, settings, { signal } = {}) {
+    const response = await requestUpstream('elevenlabs', {
+        method: 'post',
+        url: `${ELEVENLABS_BASE_URL}/text-to-speech/${settings.voiceId}/with-timestamps`,
+        data: buildTtsPayload(text, settings),
+        headers: {
+            'Content-Type': 'application/json',
+            'xi-api-key': apiKey
+        },
+        params: { output_format: 'mp3_44100_128' },
+        signal
+    }, { timeoutMs: TTS_TIMEOUT_MS });
+    const { audio_base64: audio, alignment } = response.data || {};
+    if (!audio) {
+        throw new Error('ElevenLabs returned no audio.');
+    }
+    const words = buildWordTimings(alignment);
+    const alignedEnd = alignment?.character_end_times_seconds?.slice(-1)[0] || 0;
+    // The clip's length on the story timeline: the last spoken character plus a short breath.
+    return { audio, mimeType: 'audio/mpeg', duration: alignedEnd + LINE_PAUSE_SECONDS, words };
+}
+
+// ElevenLabs error bodies are { detail: { message } } or { detail: '...' }, sometimes as a raw buffer.
+function readElevenLabsError(error) {
+    let data = error.response?.data;
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+        const text = Buffer.from(data).toString('utf8');
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            data = text;
+        }
+    }
+    return {
+        status: error.response?.status || error.status || 500,
+        details: data?.detail?.message || data?.detail || data?.message || data || error.message
+    };
+}
+
+module.exports = {
+    ELEVENLABS_MODEL_ID,
+    resolveVoiceSettings,
+    synthesizeSpeech,
+    synthesizeWithTimestamps,
+    buildWordTimings,
+    readElevenLabsError
+};
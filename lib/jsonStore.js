@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where server-side state lives. Point DATA_DIR at a persistent disk in production.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const WRITE_DELAY_MS = 200;
+
+// Tiny JSON-file backed store. Callers mutate `store.data` in place and call `store.save()`;
+// writes are debounced and go through a temp file + rename so a crash never leaves half a file.
+// `store.size` is roughly how big the file is, for callers that cap it.
+// A file that can't be parsed is moved aside to `<file>.corrupt-<timestamp>` before starting empty, so
+// the next save can't overwrite what's left of it; any other read error stops the server.
+function createJsonStore(fileName, defaultValue = {}) {
+    const filePath = path.join(DATA_DIR, fileName);
+    let writeTimer = null;
+    let writing = Promise.resolve();
+
+    function load() {
+        let raw;
+        store.size = 0;
+        try {
+            raw = fs.readFileSync(filePath, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return JSON.parse(JSON.stringify(defaultValue));
+            }
+            throw new Error(`Could not read ${filePath}: ${err.message}`);
+        }
+        try {
+            const data = JSON.parse(raw);
+            store.size = raw.length;
+            return data;
+        } catch (err) {
+            const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, corruptPath);
+            console.error(`Could not parse ${filePath} (${err.message}); moved it to ${corruptPath} and started empty.`);
+            return JSON.parse(JSON.stringify(defaultValue));
+        }
+    }
+
+    function writeNow() {
+        writeTimer = null;
+        const snapshot = JSON.stringify(store.data);
+        store.size = snapshot.length;
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        writing = writing
+            .then(async () => {
+                await fs.promises.mkdir(DATA_DIR, { recursive: true });
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, filePath);
+            })
+            .catch((err) => {
+                console.error(`Failed to write ${filePath}:`, err.message);
+            });
+        return writing;
+    }
+
+    const store = {
+        data: null,
+        size: 0,
+        save() {
+            if (!writeTimer) {
+                writeTimer = setTimeout(writeNow, WRITE_DELAY_MS);
+            }
+        },
+        // Writes any pending change immediately; resolves once it is on disk.
+        flush() {
+            if (writeTimer) {
+                clearTimeout(writeTimer);
+                return writeNow();
+            }
+            return writing;
+        },
+        // Counts bytes that are about to be added, so a burst of writes sees them before the next save
+        // measures the real size.
+        reserve(bytes) {
+            store.size += bytes;
+        }
+    };
+
+    store.data = load();
+    return store;
+}
+
+module.exports = { createJsonStore, DATA_DIR };
@@ -0,0 +1,392 @@
+// Small local evaluator used to double-check the math agent's work. It parses plain ASCII math
+// ("2x^2 + 3(x - 1) = sqrt(16)"), evaluates it numerically, and checks equalities either by
+// substituting the claimed answer or, for identities, by sampling the free variables.
+
+// Null-prototype tables, so names like "constructor" or "toString" aren't mistaken for functions.
+const FUNCTIONS = Object.assign(Object.create(null), {
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    arcsin: Math.asin,
+    arccos: Math.acos,
+    arctan: Math.atan,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    ln: Math.log,
+    log: Math.log10,
+    exp: Math.exp,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round
+});
+const CONSTANTS = Object.assign(Object.create(null), { pi: Math.PI, e: Math.E });
+// Longest names first so "sinh" wins over "sin" when splitting runs of letters.
+const KNOWN_NAMES = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)].sort((a, b) => b.length - a.length);
+// Odd, non-integer points keep accidental matches (x = 0, x = 1) out of identity checks.
+const SAMPLE_VALUES = [0.37, -1.29, 2.71, 1.618, -0.83, 3.14159, -2.47, 0.91];
+const MAX_EXPRESSION_LENGTH = 500;
+
+class MathSyntaxError extends Error {}
+
+function normalizeInput(text) {
+    return String(text)
+        .replace(/[−–]/g, '-')
+        .replace(/[×·∙]/g, '*')
+        .replace(/÷/g, '/')
+        .replace(/π/g, 'pi')
+        .replace(/√/g, 'sqrt')
+        .replace(/\*\*/g, '^');
+}
+
+// Splits a run of letters into known names and single-letter variables: "2pir" -> pi, r.
+function splitIdentifier(word) {
+    const lower = word.toLowerCase();
+    if (FUNCTIONS[lower] || CONSTANTS[lower] !== undefined) return [lower];
+    const parts = [];
+    let index = 0;
+    while (index < word.length) {
+        const known = KNOWN_NAMES.find(name => word.toLowerCase().startsWith(name, index));
+        if (known) {
+            parts.push(known);
+            index += known.length;
+        } else {
+            parts.push(word[index]);
+            index += 1;
+        }
+    }
+    return parts;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*|\.\d+)|([A-Za-z]+)(?:_?(\d+))?|(\S))/gy;
+    let match;
+    let consumed = 0;
+    while (consumed < text.length && (match = pattern.exec(text))) {
+        consumed = pattern.lastIndex;
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]) });
+        } else if (match[2] !== undefined) {
+            const names = splitIdentifier(match[2]);
+            // A subscript belongs to the last letter: x1, y_2.
+            if (match[3] !== undefined) names[names.length - 1] += `_${match[3]}`;
+            names.forEach(name => tokens.push({ type: 'name', value: name }));
+        } else {
+            if (!'+-*/^()![]{}'.includes(match[4])) {
+                throw new MathSyntaxError(`Unexpected "${match[4]}"`);
+            }
+            const value = match[4] === '[' || match[4] === '{' ? '(' : match[4] === ']' || match[4] === '}' ? ')' : match[4];
+            tokens.push({ type: 'op', value });
+        }
+    }
+    if (text.slice(consumed).trim()) {
+        throw new MathSyntaxError('Could not read the expression');
+    }
+    return tokens;
+}
+
+function factorial(n) {
+    if (!Number.isInteger(n) || n < 0 || n > 170) return NaN;
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+}
+
+// Recursive-descent parser producing an AST of { type: 'num' | 'var' | 'call' | 'neg' | 'bin' | 'fact' }.
+function parseExpression(text) {
+    const source = normalizeInput(text);
+    if (source.length > MAX_EXPRESSION_LENGTH) throw new MathSyntaxError('Expression is too long');
+    const tokens = tokenize(source);
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expectOp = (value) => {
+        if (!isOp(value)) throw new MathSyntaxError(`Expected "${value}"`);
+        position++;
+    };
+    const startsFactor = () => {
+        const token = peek();
+        return token && (token.type === 'number' || token.type === 'name' || (token.type === 'op' && token.value === '('));
+    };
+
+    function parseSum() {
+        let node = parseProduct();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[position++].value;
+            node = { type: 'bin', op, left: node, right: parseProduct() };
+        }
+        return node;
+    }
+    function parseProduct() {
+        let node = parseUnary();
+        while (true) {
+            if (isOp('*') || isOp('/')) {
+                const op = tokens[position++].value;
+                node = { type: 'bin', op, left: node, right: parseUnary() };
+            } else if (startsFactor()) {
+                node = { type: 'bin', op: '*', left: node, right: parsePower() }; // implicit: 2x, 3(x+1)
+            } else {
+                return node;
+            }
+        }
+    }
+    function parseUnary() {
+        if (isOp('-')) {
+            position++;
+            return { type: 'neg', value: parseUnary() };
+        }
+        if (isOp('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    }
+    function parsePower() {
+        const base = parsePostfix();
+        if (isOp('^')) {
+            position++;
+            return { type: 'bin', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    }
+    function parsePostfix() {
+        let node = parseAtom();
+        while (isOp('!')) {
+            position++;
+            node = { type: 'fact', value: node };
+        }
+        return node;
+    }
+    function parseAtom() {
+        const token = peek();
+        if (!token) throw new MathSyntaxError('Unexpected end of expression');
+        if (token.type === 'number') {
+            position++;
+            return { type: 'num', value: token.value };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            position++;
+            const inner = parseSum();
+            expectOp(')');
+            return inner;
+        }
+        if (token.type === 'name') {
+            position++;
+            if (FUNCTIONS[token.value]) {
+                // sqrt(x), and also "sin x" / "sqrt 16" without parentheses.
+                if (isOp('(')) {
+                    position++;
+                    const arg = parseSum();
+                    expectOp(')');
+                    return { type: 'call', name: token.value, arg };
+                }
+                return { type: 'call', name: token.value, arg: parsePower() };
+            }
+            if (CONSTANTS[token.value] !== undefined) {
+                return { type: 'num', value: CONSTANTS[token.value] };
+            }
+            return { type: 'var', name: token.value };
+        }
+        throw new MathSyntaxError(`Unexpected "${token.value}"`);
+    }
+
+    const tree = parseSum();
+    if (position < tokens.length) throw new MathSyntaxError(`Unexpected "${tokens[position].value}"`);
+    return tree;
+}
+
+function evaluate(node, scope) {
+    switch (node.type) {
+        case 'num': return node.value;
+        case 'var': return scope[node.name] !== undefined ? scope[node.name] : NaN;
+        case 'neg': return -evaluate(node.value, scope);
+        case 'fact': return factorial(evaluate(node.value, scope));
+        case 'call': return FUNCTIONS[node.name](evaluate(node.arg, scope));
+        case 'bin': {
+            const left = evaluate(node.left, scope);
+            const right = evaluate(node.right, scope);
+            if (node.op === '+') return left + right;
+            if (node.op === '-') return left - right;
+            if (node.op === '*') return left * right;
+            if (node.op === '/') return left / right;
+            return Math.pow(left, right);
+        }
+        default: return NaN;
+    }
+}
+
+function collectVariables(node, found = new Set()) {
+    if (node.type === 'var') found.add(node.name);
+    ['left', 'right', 'value', 'arg'].forEach(key => {
+        if (node[key] && typeof node[key] === 'object') collectVariables(node[key], found);
+    });
+    return found;
+}
+
+function nearlyEqual(a, b) {
+    return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+// "a = b = c" -> parsed sides. Inequalities aren't checked.
+function parseStatement(text) {
+    const source = String(text || '').trim();
+    if (!source) return null;
+    if (/[<>≤≥]|!=|≠/.test(source)) throw new MathSyntaxError('Inequalities are not checked');
+    return source.split('=').map(side => parseExpression(side));
+}
+
+// Do all sides agree? `solution` maps unknowns to answer expressions (numbers, or formulas in the
+// other variables). Everything else is sampled, so identities like (x+1)^2 = x^2 + 2x + 1 hold
+// and near-misses don't. Returns null when no sample point is inside the domain.
+function sidesAgree(sides, solution = {}) {
+    const free = new Set();
+    const addFree = (node) => collectVariables(node).forEach(name => {
+        if (!solution[name]) free.add(name);
+    });
+    sides.forEach(addFree);
+    Object.values(solution).forEach(addFree);
+    const freeNames = [...free];
+    const sampleCount = freeNames.length ? SAMPLE_VALUES.length : 1;
+    let compared = 0;
+    for (let i = 0; i < sampleCount; i++) {
+        const scope = {};
+        freeNames.forEach((name, index) => {
+            scope[name] = SAMPLE_VALUES[(i + index * 3) % SAMPLE_VALUES.length];
+        });
+        Object.entries(solution).forEach(([name, node]) => {
+            scope[name] = evaluate(node, scope);
+        });
+        const values = sides.map(side => evaluate(side, scope));
+        if (values.some(value => !Number.isFinite(value))) continue; // outside the domain here
+        compared++;
+        if (!values.every(value => nearlyEqual(value, values[0]))) return false;
+    }
+    return compared > 0 ? true : null;
+}
+
+// Parses { x: "2", y: "-b/a" } into expression trees; entries that don't parse, or that refer to
+// another unknown in the same solution, are dropped.
+function parseSolution(values) {
+    const result = {};
+    Object.entries(values || {}).forEach(([name, value]) => {
+        try {
+            result[String(name).trim()] = parseExpression(String(value));
+        } catch (err) {
+            // leave it out; steps that need it come back unchecked
+        }
+    });
+    Object.keys(result).forEach(name => {
+        const refersToUnknown = [...collectVariables(result[name])].some(other => result[other]);
+        if (refersToUnknown) delete result[name];
+    });
+    return result;
+}
+
+// Checks one statement against the claimed solutions. Statements using an unknown must hold for at
+// least one solution; others are verified if they hold as identities and only flagged if they are
+// plain arithmetic that's wrong.
+function checkStatement(text, solutions, unknowns) {
+    let sides;
+    try {
+        sides = parseStatement(text);
+    } catch (error) {
+        return { status: 'unchecked', note: error.message };
+    }
+    if (!sides) return { status: 'unchecked', note: 'Nothing to check' };
+
+    if (sides.length === 1) return { status: 'unchecked', note: 'Not an equation', sides };
+    const variables = new Set();
+    sides.forEach(side => collectVariables(side, variables));
+    const usesUnknowns = [...variables].some(name => unknowns.has(name));
+    if (usesUnknowns) {
+        const results = solutions.map(solution => sidesAgree(sides, solution));
+        if (results.includes(true)) return { status: 'verified', note: 'Holds for the final answer' };
+        if (results.every(result => result === null)) return { status: 'unchecked', note: 'Undefined at the answer' };
+        return { status: 'flagged', note: "Doesn't hold for the final answer" };
+    }
+    const agrees = sidesAgree(sides);
+    if (agrees === null) return { status: 'unchecked', note: "Couldn't evaluate" };
+    if (agrees) return { status: 'verified', note: 'Both sides are equal' };
+    // With variables the answer doesn't pin down, this is most likely an equation being solved
+    // ("2x = 4" with no solutions given), not an identity, so failing at the sample points proves nothing.
+    if (variables.size > 0) return { status: 'unchecked', note: 'No answer to check it against' };
+    return { status: 'flagged', note: 'The two sides are not equal' };
+}
+
+function expressionsEquivalent(a, b) {
+    return sidesAgree([a, b]);
+}
+
+// solution: { problem, steps: [{ math }], answer: { math, solutions: [{ var: value }] } }
+// Returns { steps: [{ status, note }], answer: { status, note } } with status verified/flagged/unchecked.
+function verifySolution(solution) {
+    const solutions = (Array.isArray(solution?.answer?.solutions) ? solution.answer.solutions : [])
+        .map(parseSolution)
+        .filter(values => Object.keys(values).length);
+    const unknowns = new Set(solutions.flatMap(solution => Object.keys(solution)));
+    let previousExpression = null;
+    try {
+        const problemSides = solution?.problem ? parseStatement(solution.problem) : null;
+        if (problemSides?.length === 1) previousExpression = problemSides[0];
+    } catch (err) {
+        previousExpression = null;
+    }
+
+    const steps = (solution?.steps || []).map(step => {
+        const result = checkStatement(step?.math, solutions, unknowns);
+        // Simplifying an expression: each step should equal the one before it.
+        if (result.status === 'unchecked' && result.sides?.length === 1) {
+            const current = result.sides[0];
+            const agrees = previousExpression ? expressionsEquivalent(previousExpression, current) : null;
+            previousExpression = current;
+            if (agrees === true) return { status: 'verified', note: 'Equal to the previous step' };
+            if (agrees === false) return { status: 'flagged', note: 'Not equal to the previous step' };
+            return { status: 'unchecked', note: result.note };
+        }
+        return { status: result.status, note: result.note };
+    });
+
+    let answer = { status: 'unchecked', note: 'Nothing to check' };
+    if (solution?.problem) {
+        let problemSides = null;
+        try {
+            problemSides = parseStatement(solution.problem);
+        } catch (error) {
+            answer = { status: 'unchecked', note: error.message };
+        }
+        if (problemSides?.length > 1 && solutions.length) {
+            const results = solutions.map(solution => sidesAgree(problemSides, solution));
+            if (results.every(result => result === true)) {
+                answer = { status: 'verified', note: 'Every solution satisfies the original problem' };
+            } else if (results.includes(false)) {
+                answer = { status: 'flagged', note: "A solution doesn't satisfy the original problem" };
+            } else {
+                answer = { status: 'unchecked', note: "Couldn't evaluate the original problem at the answer" };
+            }
+        } else if (problemSides?.length === 1 && solution?.answer?.math) {
+            try {
+                const answerSides = parseStatement(solution.answer.math);
+                const agrees = expressionsEquivalent(problemSides[0], answerSides[answerSides.length - 1]);
+                if (agrees === true) answer = { status: 'verified', note: 'Equal to the original expression' };
+                else if (agrees === false) answer = { status: 'flagged', note: 'Not equal to the original expression' };
+            } catch (error) {
+                answer = { status: 'unchecked', note: error.message };
+            }
+        }
+    }
+    return { steps, answer };
+}
+
+module.exports = {
+    MathSyntaxError,
+    parseExpression,
+    evaluate,
+    verifySolution
+};
@@ -0,0 +1,262 @@
+const { createJsonStore } = require('./jsonStore');
+
+// Spend accounting for the proxy routes. Every upstream call is recorded with its route, model, units
+// (tokens, images, searches, TTS characters), latency, status and an estimated cost, and rolled into
+// per-day aggregates in data/metrics.json. The same numbers drive the daily budget ceiling.
+const metricsStore = createJsonStore('metrics.json', { days: {}, recent: [] });
+const METRICS_RETENTION_DAYS = 90;
+const RECENT_REQUESTS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Status for calls cancelled because the client went away (nginx's "client closed request"). They
+// still cost whatever the provider did before the cancel, but they aren't errors.
+const CANCELLED_STATUS = 499;
+
+// Rough token counts for calls that never reported their usage (cut off by a cancel, or a backend that
+// doesn't send it): about four characters per token, plus a flat amount per image.
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 1000;
+// Aggregates for model names without a pricing entry all go here (see getModelBucket).
+const OTHER_MODEL = 'other';
+
+// Spending cap in USD per UTC day. Unset or 0 means no cap.
+const DAILY_BUDGET_USD = Number(process.env.DAILY_BUDGET_USD) || 0;
+
+// Estimated USD list prices, matched by longest model-name prefix. Tokens are per million, `image`
+// and `search` per call, `characters` per thousand. MODEL_PRICING (JSON, same shape) overrides or
+// adds entries, e.g. {"gpt-5-mini":{"input":0.25,"output":2}}.
+const DEFAULT_PRICING = {
+    'gpt-5.1': { input: 1.25, output: 10, search: 0.01 },
+    'gpt-5-mini': { input: 0.25, output: 2 },
+    'gpt-5-nano': { input: 0.05, output: 0.4 },
+    'gpt-5': { input: 1.25, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-image-1-mini': { image: 0.005 },
+    'gpt-image-1': { image: 0.011 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'claude-': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-haiku-4': { input: 1, output: 5 },
+    'claude-opus-4': { input: 15, output: 75 },
+    'mistral-': { input: 0.4, output: 2 },
+    'mistral-small': { input: 0.1, output: 0.3 },
+    'mistral-large': { input: 2, output: 6 },
+    'eleven_': { characters: 0.18 }
+};
+
+function loadPricing() {
+    if (!process.env.MODEL_PRICING) return DEFAULT_PRICING;
+    try {
+        return { ...DEFAULT_PRICING, ...JSON.parse(process.env.MODEL_PRICING) };
+    } catch (err) {
+        console.error('Could not parse MODEL_PRICING, using the defaults:', err.message);
+        return DEFAULT_PRICING;
+    }
+}
+
+const pricing = loadPricing();
+const pricingPrefixes = Object.keys(pricing).sort((a, b) => b.length - a.length);
+
+// Returns { costUsd, priced }. Models with no pricing entry cost 0 and are counted as unpriced.
+function estimateCost(model, { inputTokens = 0, outputTokens = 0, images = 0, searches = 0, characters = 0 }) {
+    const prefix = pricingPrefixes.find((candidate) => String(model).startsWith(candidate));
+    if (!prefix) return { costUsd: 0, priced: false };
+    const price = pricing[prefix];
+    const costUsd = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6
+        + images * (price.image || 0)
+        + searches * (price.search || 0)
+        + characters * (price.characters || 0) / 1000;
+    return { costUsd, priced: true };
+}
+
+// Estimated tokens in a string, a message, or a list of either (OpenAI-style content parts included).
+function estimateTokens(value) {
+    if (typeof value === 'string') return Math.ceil(value.length / CHARS_PER_TOKEN);
+    if (Array.isArray(value)) return value.reduce((total, item) => total + estimateTokens(item), 0);
+    if (!value || typeof value !== 'object') return 0;
+    if (value.type === 'image_url') return IMAGE_TOKENS;
+    return estimateTokens(value.content) + estimateTokens(value.text)
+        + estimateTokens((value.tool_calls || []).map((call) => call?.function?.arguments));
+}
+
+// Model names come from clients, so aggregates only keep a bucket per priced name: "gpt-4o" stays,
+// "gpt-4o-2024-08-06" is counted as "gpt-4o*" and a name with no pricing as "other".
+function getModelBucket(model) {
+    const name = String(model);
+    if (Object.prototype.hasOwnProperty.call(pricing, name)) return name;
+    const prefix = pricingPrefixes.find((candidate) => name.startsWith(candidate));
+    return prefix ? `${prefix}*` : OTHER_MODEL;
+}
+
+function emptyAggregate() {
+    return {
+        requests: 0,
+        errors: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        images: 0,
+        searches: 0,
+        characters: 0,
+        costUsd: 0,
+        unpriced: 0,
+        latencyMs: 0,
+        maxLatencyMs: 0,
+        statuses: {}
+    };
+}
+
+function addToAggregate(aggregate, entry) {
+    aggregate.requests += entry.requests ?? 1;
+    ['errors', 'inputTokens', 'outputTokens', 'images', 'searches', 'characters', 'costUsd', 'unpriced', 'latencyMs']
+        .forEach((field) => {
+            aggregate[field] += entry[field] || 0;
+        });
+    aggregate.maxLatencyMs = Math.max(aggregate.maxLatencyMs, entry.maxLatencyMs ?? entry.latencyMs ?? 0);
+    if (entry.statuses) {
+        Object.entries(entry.statuses).forEach(([status, count]) => {
+            aggregate.statuses[status] = (aggregate.statuses[status] || 0) + count;
+        });
+    } else {
+        aggregate.statuses[entry.status] = (aggregate.statuses[entry.status] || 0) + 1;
+    }
+    return aggregate;
+}
+
+function dayKey(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function pruneOldDays() {
+    const oldest = dayKey(Date.now() - METRICS_RETENTION_DAYS * DAY_MS);
+    Object.keys(metricsStore.data.days).forEach((day) => {
+        if (day < oldest) delete metricsStore.data.days[day];
+    });
+}
+
+// Records one upstream call: { route, model, status, latencyMs, inputTokens, outputTokens, images,
+// searches, characters }. Missing counts are 0. Returns the estimated cost in USD.
+function recordUsage(usage) {
+    const { costUsd, priced } = estimateCost(usage.model, usage);
+    const entry = {
+        at: new Date().toISOString(),
+        route: usage.route,
+        model: String(usage.model || 'unknown').slice(0, 100),
+        status: usage.status || 200,
+        latencyMs: Math.round(usage.latencyMs || 0),
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        images: usage.images || 0,
+        searches: usage.searches || 0,
+        characters: usage.characters || 0,
+        costUsd
+    };
+
+    const day = dayKey();
+    const days = metricsStore.data.days;
+    if (!days[day]) {
+        days[day] = { costUsd: 0, routes: {} };
+        pruneOldDays();
+    }
+    const routes = days[day].routes;
+    const models = routes[entry.route] || (routes[entry.route] = {});
+    const bucket = getModelBucket(entry.model);
+    addToAggregate(models[bucket] || (models[bucket] = emptyAggregate()), {
+        ...entry,
+        errors: entry.status >= 400 && entry.status !== CANCELLED_STATUS ? 1 : 0,
+        unpriced: priced ? 0 : 1
+    });
+    days[day].costUsd += costUsd;
+
+    metricsStore.data.recent.push(entry);
+    if (metricsStore.data.recent.length > RECENT_REQUESTS) {
+        metricsStore.data.recent.splice(0, metricsStore.data.recent.length - RECENT_REQUESTS);
+    }
+    metricsStore.save();
+    return costUsd;
+}
+
+// { limitUsd, spentUsd, exceeded, resetsInMs } for the current UTC day. limitUsd is null with no cap.
+function getBudgetStatus() {
+    const spentUsd = metricsStore.data.days[dayKey()]?.costUsd || 0;
+    const nextDay = new Date(`${dayKey()}T00:00:00.000Z`).getTime() + DAY_MS;
+    return {
+        limitUsd: DAILY_BUDGET_USD || null,
+        spentUsd: roundUsd(spentUsd),
+        exceeded: DAILY_BUDGET_USD > 0 && spentUsd >= DAILY_BUDGET_USD,
+        resetsInMs: nextDay - Date.now()
+    };
+}
+
+function roundUsd(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function finishAggregate({ latencyMs, ...aggregate }) {
+    return {
+        ...aggregate,
+        costUsd: roundUsd(aggregate.costUsd),
+        avgLatencyMs: aggregate.requests ? Math.round(latencyMs / aggregate.requests) : 0
+    };
+}
+
+function finishGroups(groups) {
+    return Object.fromEntries(Object.entries(groups).map(([key, aggregate]) => [key, finishAggregate(aggregate)]));
+}
+
+// Aggregates for the last `dayCount` days (newest first): totals, by route, by model, by route and
+// model per day, plus the most recent individual requests.
+function getMetricsSummary(dayCount = 7) {
+    const totals = emptyAggregate();
+    const byRoute = {};
+    const byModel = {};
+    const days = [];
+    for (let offset = 0; offset < dayCount; offset++) {
+        const day = dayKey(Date.now() - offset * DAY_MS);
+        const record = metricsStore.data.days[day];
+        if (!record) continue;
+        const dayTotals = emptyAggregate();
+        const dayRoutes = {};
+        const dayModels = {};
+        Object.entries(record.routes).forEach(([route, models]) => {
+            Object.entries(models).forEach(([model, aggregate]) => {
+                addToAggregate(dayTotals, aggregate);
+                addToAggregate(dayRoutes[route] || (dayRoutes[route] = emptyAggregate()), aggregate);
+                addToAggregate(dayModels[model] || (dayModels[model] = emptyAggregate()), aggregate);
+                addToAggregate(byRoute[route] || (byRoute[route] = emptyAggregate()), aggregate);
+                addToAggregate(byModel[model] || (byModel[model] = emptyAggregate()), aggregate);
+            });
+        });
+        addToAggregate(totals, dayTotals);
+        days.push({
+            day,
+            totals: finishAggregate(dayTotals),
+            byRoute: finishGroups(dayRoutes),
+            byModel: finishGroups(dayModels),
+            byRouteAndModel: Object.fromEntries(Object.entries(record.routes).map(([route, models]) => [route, finishGroups(models)]))
+        });
+    }
+    return {
+        generatedAt: new Date().toISOString(),
+        days: dayCount,
+        budget: getBudgetStatus(),
+        totals: finishAggregate(totals),
+        byRoute: finishGroups(byRoute),
+        byModel: finishGroups(byModel),
+        daily: days,
+        recent: metricsStore.data.recent.slice(-50).reverse()
+    };
+}
+
+module.exports = {
+    METRICS_RETENTION_DAYS,
+    CANCELLED_STATUS,
+    estimateCost,
+    estimateTokens,
+    recordUsage,
+    getBudgetStatus,
+    getMetricsSummary
+};
@@ -0,0 +1,439 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { requestUpstream } = require('./upstream');
+const { DATA_DIR } = require('./jsonStore');
+
+// Moderation for what users send to the image, chat and search routes. Each check runs a local regex
+// pre-filter first (free, catches the obvious stuff), then OpenAI's moderation model, and compares its
+// category scores against the thresholds for that surface. If the classifier can't be reached, the
+// surface's failMode decides: 'closed' refuses the request, 'open' lets it through. Without an
+// OPENAI_API_KEY (a Gemini-only setup) the classifier is skipped and only the pre-filter runs. Every
+// decision is appended to an audit log in DATA_DIR.
+//
+// The defaults below can be overridden with a JSON file at MODERATION_POLICY (same shape; surfaces and
+// refusals are merged key by key, `prefilter` replaces the default patterns, `blocklist` adds words).
+
+const MODERATION_URL = 'https://api.openai.com/v1/moderations';
+const MAX_CLASSIFIER_CHARS = 10000;
+// Longer text is classified in overlapping chunks (so nothing sits only on a cut), one call each.
+// Past MAX_CLASSIFIER_CHUNKS the request is refused rather than partly checked.
+const CLASSIFIER_CHUNK_OVERLAP = 500;
+const MAX_CLASSIFIER_CHUNKS = 10;
+const MAX_CHECKED_CHARS = MAX_CLASSIFIER_CHUNKS * (MAX_CLASSIFIER_CHARS - CLASSIFIER_CHUNK_OVERLAP);
+const AUDIT_MAX_BYTES = 10 * 1024 * 1024;
+const ALLOWED_CACHE_SIZE = 5000;
+
+const DEFAULT_POLICY = {
+    failMode: 'closed',
+    classifier: {
+        model: 'omni-moderation-latest',
+        timeoutMs: 8000
+    },
+    // Score thresholds per category (0-1); a score at or above the threshold blocks the request.
+    surfaces: {
+        image: {
+            block: {
+                'sexual': 0.2,
+                'sexual/minors': 0.01,
+                'violence': 0.6,
+                'violence/graphic': 0.3,
+                'hate': 0.3,
+                'hate/threatening': 0.2,
+                'harassment/threatening': 0.3,
+                'self-harm': 0.3,
+                'self-harm/intent': 0.3,
+                'self-harm/instructions': 0.2,
+                'illicit/violent': 0.3
+            }
+        },
+        // Text chat can talk about hard topics; only refuse the clearly harmful requests.
+        chat: {
+            block: {
+                'sexual/minors': 0.05,
+                'hate/threatening': 0.6,
+                'self-harm/instructions': 0.5,
+                'illicit/violent': 0.7
+            }
+        },
+        search: {
+            block: {
+                'sexual/minors': 0.05,
+                'hate/threatening': 0.6,
+                'self-harm/instructions': 0.5,
+                'illicit/violent': 0.7
+            }
+        }
+    },
+    // Matched against lowercased text with punctuation turned into spaces, with and without leetspeak undone.
+    // An image prompt that mentions a child anywhere alongside a sexual word is refused. Chat and search
+    // get ordinary questions like "explain sex ed to my kids" or "the explicit formula for the minor
+    // axis", so there the two have to sit within a few words and the sexual word can't have an
+    // innocent reading; the classifier catches the rest.
+    prefilter: [
+        {
+            category: 'sexual/minors',
+            surfaces: ['image'],
+            pattern: '\\b(child|children|kid|kids|minor|minors|underage|preteen|toddler|loli|shota|\\d{1,2} ?(yo|year old|years old))\\b.*\\b(nude|naked|nsfw|porn|sex|sexual|sexy|lewd|explicit|erotic)\\b'
+        },
+        {
+            category: 'sexual/minors',
+            surfaces: ['image'],
+            pattern: '\\b(nude|naked|nsfw|porn|sex|sexual|sexy|lewd|explicit|erotic)\\b.*\\b(child|children|kid|kids|minor|minors|underage|preteen|toddler|loli|shota|\\d{1,2} ?(yo|year old|years old))\\b'
+        },
+        {
+            category: 'sexual/minors',
+            surfaces: ['chat', 'search'],
+            pattern: '\\b(child|children|kid|kids|underage|preteen|toddler|\\d{1,2} ?(yo|year old|years old))( \\w+){0,3} (nsfw|porn|porno|lewd|erotic|hentai)\\b'
+        },
+        {
+            category: 'sexual/minors',
+            surfaces: ['chat', 'search'],
+            pattern: '\\b(nsfw|porn|porno|lewd|erotic|hentai)( \\w+){0,3} (child|children|kid|kids|underage|preteen|toddler|\\d{1,2} ?(yo|year old|years old))\\b'
+        },
+        {
+            category: 'sexual/minors',
+            surfaces: ['chat', 'search'],
+            pattern: '\\b(loli|lolicon|shota|shotacon)\\b'
+        },
+        {
+            category: 'sexual',
+            surfaces: ['image'],
+            pattern: '\\b(nude|nudes|naked|nsfw|porn|porno|pornographic|hentai|topless|lingerie|erotic|xxx)\\b'
+        },
+        {
+            category: 'violence/graphic',
+            surfaces: ['image'],
+            pattern: '\\b(gore|gory|disembowel\\w*|decapitat\\w*|dismember\\w*|mutilat\\w*)\\b'
+        }
+    ],
+    // Extra words to refuse outright, per surface: { "image": ["word", ...] }.
+    blocklist: {},
+    // What the user sees. Keep these in graxybot's voice: short and lowercase.
+    refusals: {
+        'default': "yeah, graxybot's gonna pass on that one. try asking something else?",
+        'sexual': "whoa, let's keep it pg. graxybot doesn't make that kind of stuff.",
+        'sexual/minors': "nope, not touching that. graxybot won't go anywhere near it.",
+        'violence': "that's a bit much for graxybot. maybe tone down the violence?",
+        'violence/graphic': "that's way too gory for graxybot. maybe tone it down a little?",
+        'hate': "graxybot's not gonna help with that one, let's keep things kind.",
+        'harassment': "let's not go after anyone, graxybot's not into that.",
+        'self-harm': "can't help with that one. if you're going through it, please talk to someone: call or text 988 (us) or find a local line at findahelpline.com.",
+        'illicit': "can't help with that, it's the kind of thing that gets people hurt.",
+        'too_long': "that's way more text than graxybot can read in one go. try sending less?",
+        'unavailable': "graxybot can't double-check that right now, give it a sec and try again."
+    },
+    audit: {
+        file: 'moderation_audit.jsonl',
+        logAllowed: true,
+        excerptChars: 160
+    }
+};
+
+function mergePolicy(base, override) {
+    const surfaces = { ...base.surfaces };
+    Object.entries(override.surfaces || {}).forEach(([name, surface]) => {
+        surfaces[name] = { ...surfaces[name], ...surface };
+    });
+    return {
+        ...base,
+        ...override,
+        classifier: { ...base.classifier, ...override.classifier },
+        surfaces,
+        prefilter: override.prefilter || base.prefilter,
+        blocklist: { ...base.blocklist, ...override.blocklist },
+        refusals: { ...base.refusals, ...override.refusals },
+        audit: { ...base.audit, ...override.audit }
+    };
+}
+
+// Reads MODERATION_POLICY and compiles the patterns. A broken policy file stops the server at startup
+// rather than quietly moderating with the wrong rules.
+function loadPolicy() {
+    let policy = DEFAULT_POLICY;
+    if (process.env.MODERATION_POLICY) {
+        const policyPath = path.resolve(process.env.MODERATION_POLICY);
+        policy = mergePolicy(DEFAULT_POLICY, JSON.parse(fs.readFileSync(policyPath, 'utf8')));
+    }
+    if (process.env.MODERATION_FAIL_MODE) {
+        policy = { ...policy, failMode: process.env.MODERATION_FAIL_MODE };
+    }
+    const modes = [policy.failMode, ...Object.values(policy.surfaces).map((surface) => surface.failMode)];
+    if (modes.some((mode) => mode !== undefined && mode !== 'open' && mode !== 'closed')) {
+        throw new Error('Moderation failMode must be "open" or "closed".');
+    }
+
+    const rules = policy.prefilter.map((rule) => ({
+        category: rule.category,
+        surfaces: rule.surfaces || Object.keys(policy.surfaces),
+        regex: new RegExp(rule.pattern, 'i')
+    }));
+    Object.entries(policy.blocklist).forEach(([surface, words]) => {
+        if (!Array.isArray(words) || words.length === 0) return;
+        const alternatives = words.map((word) => normalizeText(word).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        rules.push({ category: 'blocklist', surfaces: [surface], regex: new RegExp(`\\b(${alternatives.join('|')})\\b`, 'i') });
+    });
+    return { ...policy, rules };
+}
+
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+// "Nüd3!" -> "nud3 " (or "nude " with undoLeet): strips accents and flattens punctuation so the pre-filter
+// isn't dodged by spelling tricks. Digits inside numbers are never swapped.
+function normalizeText(text, undoLeet = false) {
+    let normalized = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    if (undoLeet) {
+        normalized = normalized.replace(/(?<!\d)[013457@$](?!\d)/g, (ch) => LEET_MAP[ch]);
+    }
+    return normalized.replace(/[^a-z0-9]+/g, ' ');
+}
+
+const policy = loadPolicy();
+
+if (!process.env.OPENAI_API_KEY) {
+    console.warn('OPENAI_API_KEY is not set: moderation will only use the regex pre-filter.');
+}
+
+// --- Audit log ---
+// One JSON object per line. Prompts are stored as a hash; an excerpt is kept only for refusals, so
+// they can be reviewed. The file is rotated to `.1` once it passes AUDIT_MAX_BYTES.
+const auditPath = path.join(DATA_DIR, policy.audit.file);
+let auditSize = null;
+let auditWriting = Promise.resolve();
+
+function hashValue(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 16);
+}
+
+function writeAudit(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    auditWriting = auditWriting
+        .then(async () => {
+            if (auditSize === null) {
+                await fs.promises.mkdir(DATA_DIR, { recursive: true });
+                auditSize = await fs.promises.stat(auditPath).then((stat) => stat.size, () => 0);
+            }
+            if (auditSize + line.length > AUDIT_MAX_BYTES) {
+                await fs.promises.rename(auditPath, `${auditPath}.1`).catch(() => {});
+                auditSize = 0;
+            }
+            await fs.promises.appendFile(auditPath, line);
+            auditSize += Buffer.byteLength(line);
+        })
+        .catch((err) => {
+            console.error(`Failed to write ${auditPath}:`, err.message);
+        });
+}
+
+function recordDecision(surface, input, decision) {
+    if (decision.allowed && decision.source !== 'fail_open' && !policy.audit.logAllowed) return;
+    writeAudit({
+        at: new Date().toISOString(),
+        surface,
+        client: input.clientKey ? hashValue(input.clientKey) : null,
+        decision: decision.allowed ? 'allow' : 'block',
+        source: decision.source,
+        category: decision.category || null,
+        score: decision.score ?? null,
+        error: decision.error || null,
+        textHash: hashValue(input.text || ''),
+        images: (input.images || []).length,
+        excerpt: decision.allowed ? undefined : String(input.text || '').slice(0, policy.audit.excerptChars)
+    });
+}
+
+// --- Checks ---
+
+function runPrefilter(surface, text) {
+    const variants = [normalizeText(text), normalizeText(text, true)];
+    const rule = policy.rules.find((candidate) => candidate.surfaces.includes(surface)
+        && variants.some((variant) => candidate.regex.test(variant)));
+    return rule ? { category: rule.category } : null;
+}
+
+// Asks the moderation model about the text and any images. Returns the worst category over its
+// threshold as { category, score }, or null. Throws when the classifier can't be reached.
+async function runClassifier(surface, text, images) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    const inputs = splitForClassifier(text).map((chunk) => [{ type: 'text', text: chunk }]);
+    const imageParts = images.map((url) => ({ type: 'image_url', image_url: { url } }));
+    if (inputs.length > 0) inputs[0].push(...imageParts);
+    else if (imageParts.length > 0) inputs.push(imageParts);
+    if (inputs.length === 0) return null;
+
+    // Its own breaker: a moderation outage shouldn't take OpenAI chat down with it, or the other way round.
+    const responses = await Promise.all(inputs.map((input) => requestUpstream('openai-moderation', {
+        method: 'post',
+        url: MODERATION_URL,
+        data: { model: policy.classifier.model, input },
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` }
+    }, { timeoutMs: policy.classifier.timeoutMs, retries: 1 })));
+
+    let worst = null;
+    responses.forEach((response) => {
+        const scores = response.data?.results?.[0]?.category_scores;
+        if (!scores) {
+            throw new Error('Moderation response had no category scores.');
+        }
+        Object.entries(policy.surfaces[surface].block || {}).forEach(([category, threshold]) => {
+            const score = scores[category];
+            if (typeof score !== 'number' || score < threshold) return;
+            // Rank by how far past the threshold each category is.
+            const excess = score - threshold;
+            if (!worst || excess > worst.excess) worst = { category, score, excess };
+        });
+    });
+    return worst ? { category: worst.category, score: Number(worst.score.toFixed(4)) } : null;
+}
+
+function splitForClassifier(text) {
+    const chunks = [];
+    for (let start = 0; start < text.length; start += MAX_CLASSIFIER_CHARS - CLASSIFIER_CHUNK_OVERLAP) {
+        chunks.push(text.slice(start, start + MAX_CLASSIFIER_CHARS));
+        if (start + MAX_CLASSIFIER_CHARS >= text.length) break;
+    }
+    return chunks;
+}
+
+// "violence/graphic" falls back to "violence", then to the default refusal.
+function getRefusalMessage(category) {
+    const refusals = policy.refusals;
+    return refusals[category] || refusals[String(category).split('/')[0]] || refusals.default;
+}
+
+function refuse(category) {
+    return {
+        allowed: false,
+        status: 400,
+        body: { error: 'unsafe_prompt', category, message: getRefusalMessage(category) }
+    };
+}
+
+// Checks a request for `surface` ('image', 'chat' or 'search'). `images` are data URLs. Resolves with
+// { allowed: true } or { allowed: false, status, body } ready to send back; never throws.
+async function moderate(surface, { text = '', images = [], clientKey = null } = {}) {
+    const input = { text, images, clientKey };
+    const surfacePolicy = policy.surfaces[surface];
+    if (!surfacePolicy) {
+        throw new Error(`Unknown moderation surface "${surface}".`);
+    }
+
+    const matched = runPrefilter(surface, text);
+    if (matched) {
+        recordDecision(surface, input, { allowed: false, source: 'prefilter', category: matched.category });
+        return refuse(matched.category);
+    }
+
+    if (surfacePolicy.classifier === false || !process.env.OPENAI_API_KEY) {
+        recordDecision(surface, input, { allowed: true, source: 'prefilter' });
+        return { allowed: true };
+    }
+
+    if (text.length > MAX_CHECKED_CHARS) {
+        recordDecision(surface, input, { allowed: false, source: 'length', category: 'too_long' });
+        return {
+            allowed: false,
+            status: 400,
+            body: { error: 'input_too_long', message: policy.refusals.too_long }
+        };
+    }
+
+    try {
+        const flagged = await runClassifier(surface, text, images);
+        if (flagged) {
+            recordDecision(surface, input, { allowed: false, source: 'classifier', ...flagged });
+            return refuse(flagged.category);
+        }
+        recordDecision(surface, input, { allowed: true, source: 'classifier' });
+        return { allowed: true };
+    } catch (err) {
+        const details = err.response?.data?.error?.message || err.message;
+        const failMode = surfacePolicy.failMode || policy.failMode;
+        console.warn(`Moderation classifier failed for ${surface} (failing ${failMode}):`, details);
+        if (failMode === 'open') {
+            recordDecision(surface, input, { allowed: true, source: 'fail_open', error: details });
+            return { allowed: true, failedOpen: true };
+        }
+        recordDecision(surface, input, { allowed: false, source: 'fail_closed', error: details });
+        return {
+            allowed: false,
+            status: 503,
+            body: { error: 'moderation_unavailable', message: policy.refusals.unavailable }
+        };
+    }
+}
+
+// --- Chat history ---
+// Clients send the whole conversation with every message, so earlier turns are just as much user
+// input as the newest one. Turns that passed once are remembered (by a full hash of their content)
+// so a long chat isn't re-checked on every reply.
+const allowedTurns = new Set();
+
+function getTurnKey(surface, turn) {
+    return crypto.createHash('sha256').update(JSON.stringify([surface, turn.text, turn.images])).digest('hex');
+}
+
+function rememberAllowedTurn(key) {
+    allowedTurns.add(key);
+    if (allowedTurns.size > ALLOWED_CACHE_SIZE) {
+        allowedTurns.delete(allowedTurns.values().next().value);
+    }
+}
+
+// Groups turns so their combined text fits in one classifier call. A longer turn goes on its own.
+function batchTurns(turns) {
+    const batches = [];
+    let current = [];
+    let length = 0;
+    turns.forEach((turn) => {
+        if (current.length > 0 && length + turn.text.length > MAX_CLASSIFIER_CHARS) {
+            batches.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(turn);
+        length += turn.text.length + 2;
+    });
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+// Checks every user turn of a chat that hasn't passed before. Same result as moderate(); the first
+// refusal wins.
+async function moderateTurns(surface, turns, clientKey = null) {
+    const pending = turns
+        .map((turn) => ({ ...turn, key: getTurnKey(surface, turn) }))
+        .filter((turn) => !allowedTurns.has(turn.key));
+    for (const batch of batchTurns(pending)) {
+        const verdict = await moderate(surface, {
+            text: batch.map((turn) => turn.text).join('\n\n'),
+            images: batch.flatMap((turn) => turn.images),
+            clientKey
+        });
+        if (!verdict.allowed) return verdict;
+        // A fail-open pass wasn't really checked, so it's asked about again next time.
+        if (!verdict.failedOpen) batch.forEach((turn) => rememberAllowedTurn(turn.key));
+    }
+    return { allowed: true };
+}
+
+// The text and images of each message in an OpenAI-style list that isn't from the assistant, oldest
+// first. Anything a backend could read as user input is checked, whatever its role says.
+function getUserTurns(messages) {
+    return messages.filter((msg) => msg?.role !== 'assistant').map((msg) => {
+        if (typeof msg.content === 'string') return { text: msg.content, images: [] };
+        const text = [];
+        const images = [];
+        (Array.isArray(msg.content) ? msg.content : []).forEach((part) => {
+            if (part?.type === 'text' && typeof part.text === 'string') text.push(part.text);
+            if (part?.type === 'image_url' && typeof part.image_url?.url === 'string') images.push(part.image_url.url);
+        });
+        return { text: text.join('\n'), images };
+    });
+}
+
+module.exports = {
+    moderate,
+    moderateTurns,
+    getUserTurns
+};
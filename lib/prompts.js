@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+// Server-side system prompts. The templates live in the repo's `system_prompts` file (see the notes at
+// its top); every distinct text a template has had is kept as a numbered version in data/prompts.json,
+// and one version per template is active. Clients name a template and a persona and send a few
+// variables; the system message itself is always built here.
+const PROMPTS_FILE = process.env.SYSTEM_PROMPTS_FILE || path.join(__dirname, '..', 'system_prompts');
+const promptStore = createJsonStore('prompts.json', { templates: {} });
+
+const SECTION_HEADER = /^=== ([a-z0-9_:-]+)(?: \| ([^|]+?) \| (.+?))? ===$/;
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_:-]{1,60}$/;
+const PERSONA_PREFIX = 'persona:';
+const DEFAULT_PERSONA = 'default';
+const MAX_TEMPLATE_CHARS = 50000;
+const MAX_VERSIONS = 100;
+
+// Templates a request may ask for. The rest (styles, lengths, personas, the summary note) are pieces
+// the resolver pulls in itself.
+const REQUEST_TEMPLATES = new Set([
+    'chat',
+    'reddit_story',
+    'search',
+    'web_design',
+    'web_design_edit',
+    'math_solver',
+    'context_summarizer',
+    'memory_extractor'
+]);
+// Variables the client may send, with their length caps. Everything else is filled in on the server.
+const CLIENT_VARIABLES = { userName: 100, responseStyle: 1000 };
+const DESIGN_MODES = ['simple', 'pro'];
+const MAX_CONTEXT_CHARS = 20000;
+// The client picks which of the user's memories are relevant; these cap what it can send.
+const MAX_MEMORIES = 12;
+const MAX_MEMORY_CHARS = 200;
+
+function hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// "=== name ===" sections -> [{ name, label, description, text }]. Comment lines before the first
+// section are skipped.
+function parsePromptFile(source) {
+    const sections = [];
+    let current = null;
+    source.split(/\r?\n/).forEach((line) => {
+        const header = line.match(SECTION_HEADER);
+        if (header) {
+            current = { name: header[1], label: header[2] || null, description: header[3] || null, lines: [] };
+            sections.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        }
+    });
+    return sections.map(({ lines, ...section }) => ({ ...section, text: lines.join('\n').trim() }));
+}
+
+function activeVersion(template) {
+    return template.versions.find((entry) => entry.version === template.active) || template.versions[template.versions.length - 1];
+}
+
+function appendVersion(template, text, source, note) {
+    const version = (template.versions[template.versions.length - 1]?.version || 0) + 1;
+    template.versions.push({ version, text, source, note: note || null, createdAt: new Date().toISOString() });
+    if (template.versions.length > MAX_VERSIONS) {
+        // The active version is never the one dropped.
+        const dropIndex = template.versions.findIndex((entry) => entry.version !== template.active);
+        template.versions.splice(dropIndex, 1);
+    }
+    template.active = version;
+    return version;
+}
+
+// Brings the store up to date with the file. A section whose text changed since the last start gets a
+// new active version; an unchanged one keeps whatever version is active (including a rollback).
+function syncWithPromptFile() {
+    let source;
+    try {
+        source = fs.readFileSync(PROMPTS_FILE, 'utf8');
+    } catch (err) {
+        console.error(`Could not read ${PROMPTS_FILE}, using the stored prompt versions:`, err.message);
+        return;
+    }
+    const templates = promptStore.data.templates;
+    parsePromptFile(source).forEach((section) => {
+        const template = templates[section.name] || (templates[section.name] = { versions: [], active: 0 });
+        if (section.label) template.label = section.label;
+        if (section.description) template.description = section.description;
+        const fileHash = hashText(section.text);
+        if (template.fileHash === fileHash) return;
+        template.fileHash = fileHash;
+        if (activeVersion(template)?.text !== section.text) {
+            appendVersion(template, section.text, 'file');
+        }
+    });
+    promptStore.save();
+}
+
+syncWithPromptFile();
+
+function getActiveText(name) {
+    const template = promptStore.data.templates[name];
+    return template ? activeVersion(template)?.text ?? null : null;
+}
+
+// Replaces {{name}} with its value. A line that uses a variable with no value is dropped entirely, so
+// optional instructions ("Address the user as ...") disappear instead of going out half-filled.
+function fillTemplate(text, values) {
+    return text
+        .split('\n')
+        .filter((line) => {
+            const names = [...line.matchAll(/\{\{(\w+)\}\}/g)].map((match) => match[1]);
+            return names.every((name) => values[name]);
+        })
+        .join('\n')
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => values[name]);
+}
+
+function pickLine(text) {
+    const lines = (text || '').split('\n').map((line) => line.trim()).filter(Boolean);
+    return lines.length ? lines[Math.floor(Math.random() * lines.length)] : '';
+}
+
+function readVariable(value, maxLength) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '';
+}
+
+// Checks the `prompt` field of a chat or search request: { template, persona?, variables?, memories?, context? }.
+// Returns a cleaned request, or { error, status? } (400 unless the server's own template is missing).
+// A missing field means `defaultTemplate`.
+function readPromptRequest(body, defaultTemplate = 'chat') {
+    const prompt = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const template = prompt.template === undefined ? defaultTemplate : prompt.template;
+    if (!REQUEST_TEMPLATES.has(template)) {
+        return { error: `Unknown prompt template "${template}".` };
+    }
+    if (getActiveText(template) === null) {
+        return { error: `The "${template}" prompt template is missing on the server.`, status: 500 };
+    }
+    const persona = prompt.persona === undefined || prompt.persona === null ? DEFAULT_PERSONA : prompt.persona;
+    if (typeof persona !== 'string' || !TEMPLATE_NAME_PATTERN.test(persona) || getActiveText(PERSONA_PREFIX + persona) === null) {
+        return { error: `Unknown persona "${persona}".` };
+    }
+    const rawVariables = prompt.variables && typeof prompt.variables === 'object' ? prompt.variables : {};
+    const variables = Object.fromEntries(Object.entries(CLIENT_VARIABLES)
+        .map(([name, maxLength]) => [name, readVariable(rawVariables[name], maxLength)]));
+    return {
+        template,
+        persona,
+        variables,
+        designMode: DESIGN_MODES.includes(rawVariables.designMode) ? rawVariables.designMode : 'pro',
+        memories: (Array.isArray(prompt.memories) ? prompt.memories : [])
+            .slice(0, MAX_MEMORIES)
+            .map((memory) => readVariable(memory, MAX_MEMORY_CHARS))
+            .filter(Boolean),
+        context: typeof prompt.context === 'string' ? prompt.context.trim().slice(0, MAX_CONTEXT_CHARS) : ''
+    };
+}
+
+// The system message for a request from readPromptRequest. `modelName` is the model that actually
+// answers, so a failover gets a prompt naming the right one.
+function renderSystemPrompt(request, { modelName }) {
+    const rendered = fillTemplate(getActiveText(request.template), {
+        ...request.variables,
+        modelName,
+        persona: getActiveText(PERSONA_PREFIX + request.persona) || '',
+        designStyle: pickLine(getActiveText('web_design_styles')),
+        designLength: getActiveText(`web_design_length_${request.designMode}`) || '',
+        memories: request.memories.join('; ')
+    });
+    return rendered;
+}
+
+// The client's running summary of older turns (`prompt.context`) comes from the client like any other
+// message, so it never goes into the system prompt: it's put in front of the first user turn (or as a
+// user turn of its own), where moderation sees it too. Returns the messages to send.
+function addContextMessage(request, messages) {
+    const summaryNote = request.context ? getActiveText('conversation_summary') : null;
+    if (!summaryNote) return messages;
+    const text = fillTemplate(summaryNote, { summary: request.context });
+    const [first, ...rest] = messages;
+    if (first?.role !== 'user') {
+        return [{ role: 'user', content: text }, ...messages];
+    }
+    const content = typeof first.content === 'string'
+        ? `${text}\n\n${first.content}`
+        : [{ type: 'text', text }, ...(Array.isArray(first.content) ? first.content : [])];
+    return [{ ...first, content }, ...rest];
+}
+
+// Personas for the app's picker, default first.
+function listPersonas() {
+    return Object.entries(promptStore.data.templates)
+        .filter(([name]) => name.startsWith(PERSONA_PREFIX))
+        .map(([name, template]) => ({
+            id: name.slice(PERSONA_PREFIX.length),
+            label: template.label || name.slice(PERSONA_PREFIX.length),
+            description: template.description || ''
+        }))
+        .sort((a, b) => (a.id === DEFAULT_PERSONA ? -1 : b.id === DEFAULT_PERSONA ? 1 : a.label.localeCompare(b.label)));
+}
+
+function describeTemplate(name, template) {
+    const active = activeVersion(template);
+    return {
+        name,
+        label: template.label || null,
+        description: template.description || null,
+        activeVersion: active?.version || null,
+        latestVersion: template.versions[template.versions.length - 1]?.version || null,
+        updatedAt: active?.createdAt || null
+    };
+}
+
+function listTemplates() {
+    return Object.entries(promptStore.data.templates).map(([name, template]) => describeTemplate(name, template));
+}
+
+// One template with every stored version, or null.
+function getTemplate(name) {
+    const template = promptStore.data.templates[name];
+    return template ? { ...describeTemplate(name, template), versions: template.versions } : null;
+}
+
+// Saves `text` as a new active version of `name` (creating the template, e.g. a new persona). Returns
+// the template description, or { error }.
+function addTemplateVersion(name, { text, note, label, description } = {}) {
+    if (!TEMPLATE_NAME_PATTERN.test(name)) return { error: 'Template names use a-z, 0-9, _, - and :.' };
+    if (typeof text !== 'string' || text.length > MAX_TEMPLATE_CHARS) {
+        return { error: `text must be a string of at most ${MAX_TEMPLATE_CHARS} characters.` };
+    }
+    const templates = promptStore.data.templates;
+    const template = templates[name] || (templates[name] = { versions: [], active: 0 });
+    if (typeof label === 'string' && label.trim()) template.label = label.trim().slice(0, 60);
+    if (typeof description === 'string') template.description = description.trim().slice(0, 200);
+    appendVersion(template, text.trim(), 'admin', typeof note === 'string' ? note.slice(0, 200) : null);
+    promptStore.save();
+    return getTemplate(name);
+}
+
+// Makes an earlier (or later) stored version active again. Returns the template, or { error, status }.
+function activateTemplateVersion(name, version) {
+    const template = promptStore.data.templates[name];
+    if (!template) return { error: 'Template not found.', status: 404 };
+    if (!template.versions.some((entry) => entry.version === version)) {
+        return { error: `Version ${version} of ${name} doesn't exist.`, status: 404 };
+    }
+    template.active = version;
+    promptStore.save();
+    return getTemplate(name);
+}
+
+module.exports = {
+    readPromptRequest,
+    renderSystemPrompt,
+    addContextMessage,
+    listPersonas,
+    listTemplates,
+    getTemplate,
+    addTemplateVersion,
+    activateTemplateVersion
+};
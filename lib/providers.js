@@ -0,0 +1,482 @@
+const { requestUpstream, isCircuitOpen } = require('./upstream');
+
+// Chat backends, matched against the requested model name by prefix. A provider is usable once the
+// env var named in apiKeyEnv is set (local servers can leave apiKeyEnv out).
+//
+// Extra backends are config, not code: set CHAT_PROVIDERS to a JSON array of entries with the same
+// shape, e.g. an Ollama or llama.cpp server speaking the OpenAI API:
+//   [{"name":"ollama","type":"openai","label":"Ollama","baseUrl":"http://localhost:11434/v1","models":["llama3","qwen2.5"]}]
+// Entries from CHAT_PROVIDERS are checked before the built-ins, so they can also override them.
+//
+// `failoverModel` answers instead when a chat fails before any output reaches the user (the provider
+// is down, rate limited or its circuit is open). Set CHAT_FAILOVER=off to turn that off.
+const BUILTIN_PROVIDERS = [
+    {
+        name: 'openai',
+        type: 'openai',
+        label: 'OpenAI',
+        baseUrl: 'https://api.openai.com/v1',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        models: ['gpt-', 'chatgpt-', 'o1', 'o3', 'o4'],
+        failoverModel: 'gemini-2.0-flash',
+        // Ask for the token usage chunk at the end of the stream. Other OpenAI-compatible servers may
+        // reject the option, so it's opt-in per provider (they often send usage anyway).
+        streamUsage: true
+    },
+    {
+        name: 'gemini',
+        type: 'gemini',
+        label: 'Gemini',
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        apiKeyEnv: 'GEMINI_API_KEY',
+        models: ['gemini-'],
+        failoverModel: 'gpt-5-mini'
+    },
+    {
+        name: 'anthropic',
+        type: 'anthropic',
+        label: 'Anthropic',
+        baseUrl: 'https://api.anthropic.com/v1',
+        apiKeyEnv: 'ANTHROPIC_API_KEY',
+        models: ['claude-']
+    },
+    {
+        name: 'mistral',
+        type: 'openai',
+        label: 'Mistral',
+        baseUrl: 'https://api.mistral.ai/v1',
+        apiKeyEnv: 'MISTRAL_API_KEY',
+        models: ['mistral-', 'ministral-', 'open-mistral-', 'codestral-', 'pixtral-']
+    }
+];
+
+// Time allowed for a chat backend to start answering (response headers, not the whole reply).
+const CHAT_TIMEOUT_MS = 60000;
+// Model names come from the client and end up in upstream URLs (Gemini puts them in the path), so
+// anything outside this is refused before a provider is picked.
+const MODEL_NAME_PATTERN = /^[\w.:-]{1,100}$/;
+
+function loadConfiguredProviders() {
+    if (!process.env.CHAT_PROVIDERS) return [];
+    try {
+        const parsed = JSON.parse(process.env.CHAT_PROVIDERS);
+        if (!Array.isArray(parsed)) throw new Error('CHAT_PROVIDERS must be a JSON array');
+        return parsed.filter((entry) => {
+            const valid = entry && entry.name && ADAPTERS[entry.type] && entry.baseUrl && Array.isArray(entry.models);
+            if (!valid) console.warn('Ignoring invalid CHAT_PROVIDERS entry:', entry);
+            return valid;
+        });
+    } catch (err) {
+        console.error('Could not parse CHAT_PROVIDERS:', err.message);
+        return [];
+    }
+}
+
+// --- Shared helpers ---
+
+// Calls onData with the payload of every `data:` line in an upstream SSE stream.
+function readSseStream(stream, onData) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        const handleLine = (line) => {
+            if (line.startsWith('data:')) onData(line.slice(5).trim());
+        };
+        stream.setEncoding('utf8');
+        stream.on('data', (chunk) => {
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            try {
+                lines.forEach(handleLine);
+            } catch (err) {
+                stream.destroy();
+                reject(err);
+            }
+        });
+        stream.on('end', () => {
+            try {
+                handleLine(buffer);
+                resolve();
+            } catch (err) {
+                reject(err);
+            }
+        });
+        stream.on('error', reject);
+    });
+}
+
+// Upstream error bodies arrive as streams when responseType is 'stream'; read them back into JSON/text.
+async function readErrorBody(data) {
+    if (!data || typeof data.on !== 'function') return data;
+    let text = '';
+    try {
+        for await (const chunk of data) {
+            text += chunk.toString();
+        }
+    } catch (err) {
+        return text || err.message;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+function flattenText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map((part) => (typeof part === 'string' ? part : part?.text || '')).join('');
+    }
+    return '';
+}
+
+// Splits a base64 data URL into { mimeType, data }, or returns null for anything else.
+function parseDataUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith('data:')) return null;
+    const marker = url.indexOf(';base64,');
+    if (marker === -1) return null;
+    return { mimeType: url.slice(5, marker).toLowerCase(), data: url.slice(marker + 8) };
+}
+
+// Walks OpenAI-style content (a string or an array of text / image_url parts) and maps each piece
+// through the given converters, dropping anything empty or unsupported.
+function mapContentParts(content, { text: fromText, image: fromImage }) {
+    if (typeof content === 'string') {
+        const text = content.trim();
+        return text ? [fromText(text)] : [];
+    }
+    if (!Array.isArray(content)) return [];
+    return content
+        .map((part) => {
+            if (part?.type === 'text' && typeof part.text === 'string' && part.text.trim()) {
+                return fromText(part.text.trim());
+            }
+            if (part?.type === 'image_url') {
+                const image = parseDataUrl(part.image_url?.url);
+                return image ? fromImage(image) : null;
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+// --- Adapters ---
+// Every adapter offers the same three operations:
+//   formatMessages(messages)                          OpenAI-style messages -> provider request pieces
+//   streamCompletion(config, { model, messages, signal }, onDelta)  resolves with { usage } when the reply is complete
+//   normalizeError(config, error)                     -> { status, message, details }
+// `usage` is { inputTokens, outputTokens }, or null if the backend didn't report it. Aborting `signal`
+// cancels the upstream request; the promise then rejects with axios' CanceledError.
+// Adapters with `supportsTools` also take `tools` (OpenAI function schemas) in the request and
+// resolve with { toolCalls: [{ id, name, arguments }] } too when the model asks for them.
+
+async function normalizeUpstreamError(config, error) {
+    const details = await readErrorBody(error.response?.data) || error.message;
+    return {
+        status: error.response?.status || 500,
+        message: `Failed to communicate with ${config.label || config.name} API`,
+        details
+    };
+}
+
+const openaiAdapter = {
+    formatMessages(messages = []) {
+        return messages.filter((msg) => msg && typeof msg === 'object' && msg.role);
+    },
+
+    supportsTools: true,
+
+    async streamCompletion(config, { model, messages, tools, signal }, onDelta) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept-Encoding': 'identity' // Disable compression to prevent Brotli errors
+        };
+        const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : null;
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        const payload = { model, messages: openaiAdapter.formatMessages(messages), stream: true };
+        if (config.streamUsage) {
+            payload.stream_options = { include_usage: true };
+        }
+        if (tools?.length) {
+            payload.tools = tools;
+            payload.tool_choice = 'auto';
+        }
+        const response = await requestUpstream(config.name, {
+            method: 'post',
+            url: `${config.baseUrl}/chat/completions`,
+            data: payload,
+            headers,
+            responseType: 'stream',
+            signal
+        }, { timeoutMs: CHAT_TIMEOUT_MS });
+
+        // Tool calls arrive in fragments keyed by index; the arguments string is split across chunks.
+        const toolCalls = [];
+        let usage = null;
+
+        await readSseStream(response.data, (data) => {
+            if (!data || data === '[DONE]') return;
+            let json;
+            try {
+                json = JSON.parse(data);
+            } catch (err) {
+                return;
+            }
+            if (json.usage) {
+                usage = { inputTokens: json.usage.prompt_tokens || 0, outputTokens: json.usage.completion_tokens || 0 };
+            }
+            const delta = json.choices?.[0]?.delta;
+            if (delta?.content) onDelta(delta.content);
+            (delta?.tool_calls || []).forEach((fragment) => {
+                const index = fragment.index ?? toolCalls.length;
+                const call = toolCalls[index] || (toolCalls[index] = { id: '', name: '', arguments: '' });
+                if (fragment.id) call.id = fragment.id;
+                if (fragment.function?.name) call.name += fragment.function.name;
+                if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+            });
+        });
+
+        return { toolCalls: toolCalls.filter(Boolean), usage };
+    },
+
+    normalizeError: normalizeUpstreamError
+};
+
+function formatMessagesForGemini(messages = []) {
+    if (!Array.isArray(messages)) return { contents: [] };
+    let systemInstruction = null;
+    const contents = [];
+
+    messages.forEach((msg) => {
+        if (!msg || typeof msg !== 'object') {
+            return;
+        }
+        // Attached images travel as inline_data parts next to the text.
+        const parts = mapContentParts(msg.content, {
+            text: (text) => ({ text }),
+            image: ({ mimeType, data }) => ({ inline_data: { mime_type: mimeType, data } })
+        });
+        if (parts.length === 0) return;
+
+        if (msg.role === 'system') {
+            const textParts = parts.filter((part) => part.text);
+            if (!systemInstruction) {
+                systemInstruction = { parts: textParts };
+            } else {
+                // append additional system text
+                systemInstruction.parts.push(...textParts);
+            }
+            return;
+        }
+
+        let role = 'user';
+        if (msg.role === 'assistant' || msg.role === 'model') {
+            role = 'model';
+        }
+
+        contents.push({
+            role,
+            parts
+        });
+    });
+
+    return { contents, systemInstruction };
+}
+
+const geminiAdapter = {
+    formatMessages: formatMessagesForGemini,
+
+    async streamCompletion(config, { model, messages, signal }, onDelta) {
+        const { contents, systemInstruction } = formatMessagesForGemini(messages);
+        if (contents.length === 0) {
+            const error = new Error('No valid messages to send to Gemini.');
+            error.status = 400;
+            throw error;
+        }
+        const payload = { contents };
+        if (systemInstruction) {
+            payload.systemInstruction = systemInstruction;
+        }
+
+        let usage = null;
+        // alt=sse makes streamGenerateContent emit one GenerateContentResponse per SSE event.
+        const response = await requestUpstream(config.name, {
+            method: 'post',
+            url: `${config.baseUrl}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(process.env[config.apiKeyEnv])}`,
+            data: payload,
+            headers: { 'Content-Type': 'application/json' },
+            responseType: 'stream',
+            signal
+        }, { timeoutMs: CHAT_TIMEOUT_MS });
+
+        await readSseStream(response.data, (data) => {
+            if (!data) return;
+            let json;
+            try {
+                json = JSON.parse(data);
+            } catch (err) {
+                return;
+            }
+            if (json.error) {
+                const error = new Error(json.error.message || 'Gemini stream error');
+                error.status = json.error.code || 502;
+                error.details = json.error;
+                throw error;
+            }
+            if (json.promptFeedback?.blockReason) {
+                const error = new Error(`Gemini blocked the prompt (${json.promptFeedback.blockReason}).`);
+                error.status = 400;
+                error.details = json.promptFeedback;
+                throw error;
+            }
+            // Every chunk carries the running totals; the last one wins. Thinking tokens bill as output.
+            if (json.usageMetadata) {
+                usage = {
+                    inputTokens: json.usageMetadata.promptTokenCount || 0,
+                    outputTokens: (json.usageMetadata.candidatesTokenCount || 0) + (json.usageMetadata.thoughtsTokenCount || 0)
+                };
+            }
+            const parts = json.candidates?.[0]?.content?.parts || [];
+            const text = parts
+                .map((part) => (typeof part.text === 'string' ? part.text : ''))
+                .join('');
+            if (text) onDelta(text);
+        });
+        return { usage };
+    },
+
+    normalizeError: normalizeUpstreamError
+};
+
+const ANTHROPIC_MAX_TOKENS = 4096;
+
+const anthropicAdapter = {
+    // Anthropic takes the system prompt separately and wants user/assistant turns to alternate.
+    formatMessages(messages = []) {
+        const system = [];
+        const turns = [];
+        messages.forEach((msg) => {
+            if (!msg || typeof msg !== 'object') return;
+            if (msg.role === 'system') {
+                const text = flattenText(msg.content).trim();
+                if (text) system.push(text);
+                return;
+            }
+            const blocks = mapContentParts(msg.content, {
+                text: (text) => ({ type: 'text', text }),
+                image: ({ mimeType, data }) => ({ type: 'image', source: { type: 'base64', media_type: mimeType, data } })
+            });
+            if (blocks.length === 0) return;
+            const role = msg.role === 'assistant' || msg.role === 'model' ? 'assistant' : 'user';
+            const previous = turns[turns.length - 1];
+            if (previous && previous.role === role) {
+                previous.content.push(...blocks);
+            } else {
+                turns.push({ role, content: blocks });
+            }
+        });
+        return { system: system.join('\n\n'), messages: turns };
+    },
+
+    async streamCompletion(config, { model, messages, signal }, onDelta) {
+        const { system, messages: turns } = anthropicAdapter.formatMessages(messages);
+        const payload = { model, messages: turns, max_tokens: ANTHROPIC_MAX_TOKENS, stream: true };
+        if (system) payload.system = system;
+
+        const response = await requestUpstream(config.name, {
+            method: 'post',
+            url: `${config.baseUrl}/messages`,
+            data: payload,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': process.env[config.apiKeyEnv],
+                'anthropic-version': '2023-06-01'
+            },
+            responseType: 'stream',
+            signal
+        }, { timeoutMs: CHAT_TIMEOUT_MS });
+
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        await readSseStream(response.data, (data) => {
+            let json;
+            try {
+                json = JSON.parse(data);
+            } catch (err) {
+                return;
+            }
+            // Input tokens come with message_start, the output count with the closing message_delta.
+            if (json.type === 'message_start' && json.message?.usage) {
+                usage.inputTokens = json.message.usage.input_tokens || 0;
+                usage.outputTokens = json.message.usage.output_tokens || 0;
+            } else if (json.type === 'message_delta' && json.usage) {
+                usage.outputTokens = json.usage.output_tokens || usage.outputTokens;
+            }
+            if (json.type === 'content_block_delta' && json.delta?.text) {
+                onDelta(json.delta.text);
+            } else if (json.type === 'error') {
+                const error = new Error(json.error?.message || 'Anthropic stream error');
+                error.details = json.error;
+                throw error;
+            }
+        });
+        return { usage };
+    },
+
+    normalizeError: normalizeUpstreamError
+};
+
+const ADAPTERS = {
+    openai: openaiAdapter,
+    gemini: geminiAdapter,
+    anthropic: anthropicAdapter
+};
+
+const providers = [...loadConfiguredProviders(), ...BUILTIN_PROVIDERS];
+
+// Finds the backend for a model name. Returns null for unknown models.
+function resolveProvider(model) {
+    if (typeof model !== 'string' || !MODEL_NAME_PATTERN.test(model)) return null;
+    const config = providers.find((entry) =>
+        entry.models.some((prefix) => model === prefix || model.startsWith(prefix))
+    );
+    if (!config) return null;
+    const adapter = ADAPTERS[config.type];
+    return {
+        name: config.name,
+        label: config.label || config.name,
+        failoverModel: config.failoverModel || null,
+        isConfigured: !config.apiKeyEnv || Boolean(process.env[config.apiKeyEnv]),
+        apiKeyEnv: config.apiKeyEnv,
+        supportsTools: Boolean(adapter.supportsTools),
+        formatMessages: (messages) => adapter.formatMessages(messages),
+        streamCompletion: (request, onDelta) => adapter.streamCompletion(config, request, onDelta),
+        normalizeError: async (error) => {
+            // Errors raised by the adapters themselves (bad input, stream error events) carry their own status.
+            if (!error.isAxiosError && error.status) {
+                return { status: error.status, message: error.message, details: error.details || error.message };
+            }
+            return adapter.normalizeError(config, error);
+        }
+    };
+}
+
+// The provider to fail over to from `provider`, as { provider, model }, or null if there's no usable one.
+function resolveFailover(provider) {
+    if (process.env.CHAT_FAILOVER === 'off' || !provider.failoverModel) return null;
+    const fallback = resolveProvider(provider.failoverModel);
+    if (!fallback || fallback.name === provider.name || !fallback.isConfigured || isCircuitOpen(fallback.name)) {
+        return null;
+    }
+    return { provider: fallback, model: provider.failoverModel };
+}
+
+module.exports = {
+    resolveProvider,
+    resolveFailover,
+    formatMessagesForGemini,
+    parseDataUrl,
+    readSseStream,
+    readErrorBody
+};
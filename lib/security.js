@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cors = require('cors');
+
+// Serving-side hardening: an allowlist of public files, security headers, the app pages' CSP and the
+// origin check for API calls.
+
+// Third-party hosts the pages load from: Google Fonts, plus Font Awesome, Prism and KaTeX on cdnjs.
+const CDN_ORIGIN = 'https://cdnjs.cloudflare.com';
+const FONT_CSS_ORIGIN = 'https://fonts.googleapis.com';
+const FONT_FILE_ORIGIN = 'https://fonts.gstatic.com';
+const STATIC_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Headers every response gets. Pages that need something stricter (previews) add their own CSP.
+function securityHeaders(req, res, next) {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    // The mic is used for voice input; nothing else needs device access.
+    res.setHeader('Permissions-Policy', 'camera=(), geolocation=(), payment=(), usb=(), microphone=(self)');
+    if (req.secure) {
+        res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    }
+    next();
+}
+
+// Inline <script> blocks are allowed by hash, so markup that sneaks into a message through innerHTML
+// can't run handlers or inline scripts.
+function buildPageCsp(html) {
+    const hashes = [];
+    const inlineScript = /<script(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = inlineScript.exec(html)) !== null) {
+        // Browsers hash the script text after normalizing line endings to \n.
+        const source = match[1].replace(/\r\n?/g, '\n');
+        hashes.push(`'sha256-${crypto.createHash('sha256').update(source, 'utf8').digest('base64')}'`);
+    }
+    return [
+        "default-src 'self'",
+        `script-src 'self' ${CDN_ORIGIN} ${hashes.join(' ')}`.trim(),
+        `style-src 'self' 'unsafe-inline' ${FONT_CSS_ORIGIN} ${CDN_ORIGIN}`,
+        `font-src 'self' data: ${FONT_FILE_ORIGIN} ${CDN_ORIGIN}`,
+        // Generated images and narration arrive as data: URLs; search results can link remote favicons.
+        "img-src 'self' data: blob: https:",
+        "media-src 'self' data: blob:",
+        "connect-src 'self'",
+        "frame-src 'self' blob:",
+        "object-src 'none'",
+        "base-uri 'self'",
+        "form-action 'self'",
+        "frame-ancestors 'self'"
+    ].join('; ');
+}
+
+// Serves only the listed files from `rootDir`. HTML pages are read once per change so their CSP hashes
+// always match what's on disk; everything else goes through sendFile with a short cache lifetime.
+function createPublicFiles(rootDir, fileNames) {
+    const allowed = new Set(fileNames);
+    const pageCache = new Map(); // fileName -> { mtimeMs, html, csp }
+
+    function readPage(fileName) {
+        const filePath = path.join(rootDir, fileName);
+        const { mtimeMs } = fs.statSync(filePath);
+        const cached = pageCache.get(fileName);
+        if (cached && cached.mtimeMs === mtimeMs) return cached;
+        const html = fs.readFileSync(filePath, 'utf8');
+        const page = { mtimeMs, html, csp: buildPageCsp(html) };
+        pageCache.set(fileName, page);
+        return page;
+    }
+
+    function sendPublicFile(res, fileName, next) {
+        if (fileName.endsWith('.html')) {
+            let page;
+            try {
+                page = readPage(fileName);
+            } catch (err) {
+                return next();
+            }
+            res.setHeader('Content-Security-Policy', page.csp);
+            res.setHeader('Cache-Control', 'no-cache');
+            return res.type('html').send(page.html);
+        }
+        res.sendFile(path.join(rootDir, fileName), { maxAge: STATIC_MAX_AGE_MS }, (err) => {
+            if (err && !res.headersSent) next();
+        });
+    }
+
+    const middleware = (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+        const fileName = req.path.slice(1);
+        if (!allowed.has(fileName)) return next();
+        sendPublicFile(res, fileName, next);
+    };
+    middleware.send = sendPublicFile;
+    return middleware;
+}
+
+// API calls from other sites are refused unless their origin is listed. Same-origin requests and
+// callers that send no Origin (curl, server-to-server) pass straight through.
+function createOriginGuard(allowedOrigins) {
+    const corsForAllowed = cors({ origin: allowedOrigins, maxAge: 600 });
+    return (req, res, next) => {
+        const origin = req.get('Origin');
+        if (!origin || origin === `${req.protocol}://${req.get('host')}`) return next();
+        if (!allowedOrigins.includes(origin)) {
+            return res.status(403).json({ error: 'origin_not_allowed', message: `Requests from ${origin} are not allowed.` });
+        }
+        corsForAllowed(req, res, next);
+    };
+}
+
+// ALLOWED_ORIGINS="https://a.example,https://b.example" -> ['https://a.example', 'https://b.example']
+function parseOriginList(value) {
+    return String(value || '')
+        .split(',')
+        .map((origin) => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+// TRUST_PROXY="2" -> 2 hops, "false" -> false, "loopback, 10.0.0.0/8" -> passed to Express as is.
+// Unset keeps the single proxy hop most hosts (Render included) put in front of the app.
+function parseTrustProxy(value) {
+    const setting = String(value ?? '').trim();
+    if (!setting) return 1;
+    if (/^\d+$/.test(setting)) return Number(setting);
+    if (setting === 'true' || setting === 'false') return setting === 'true';
+    return setting;
+}
+
+module.exports = {
+    securityHeaders,
+    buildPageCsp,
+    createPublicFiles,
+    createOriginGuard,
+    parseOriginList,
+    parseTrustProxy
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { DATA_DIR } = require('./jsonStore');
+
+// Turns a narrated story into a vertical MP4 with local ffmpeg (needs libass for the captions).
+// Jobs live in memory and run one at a time; finished files are kept for STORY_RENDER_TTL_MS.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const STORY_BACKGROUNDS = ['vid1.mp4', 'vid2.mp4', 'vid3.mp4'];
+const RENDER_DIR = path.join(DATA_DIR, 'renders');
+const STORY_RENDER_MAX_PENDING = 4;
+const STORY_RENDER_TTL_MS = 60 * 60 * 1000;
+const STORY_RENDER_TIMEOUT_MS = 10 * 60 * 1000;
+const VIDEO_WIDTH = 720;
+const VIDEO_HEIGHT = 1280;
+const OUTRO_SECONDS = 4;
+const NARRATION_SHARE = 0.3; // share of the progress bar spent waiting on TTS
+
+const jobs = new Map();
+const queue = [];
+let activeJob = null;
+
+// Files from a previous run have no job pointing at them any more.
+fs.rmSync(RENDER_DIR, { recursive: true, force: true });
+
+function formatAssTime(seconds) {
+    const centiseconds = Math.max(0, Math.round(seconds * 100));
+    const h = Math.floor(centiseconds / 360000);
+    const m = Math.floor(centiseconds / 6000) % 60;
+    const s = Math.floor(centiseconds / 100) % 60;
+    const cs = centiseconds % 100;
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+}
+
+function escapeAssText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/[{}]/g, '').replace(/\s+/g, ' ');
+}
+
+// Same look as the in-app player: white captions with the spoken word in amber, a corner watermark
+// and the two-line outro. ASS colours are &HAABBGGRR.
+function buildCaptionsAss(narration) {
+    const highlight = '{\\c&H07C1FF&}';
+    const reset = '{\\c&HFFFFFF&}';
+    const events = [];
+    const addEvent = (start, end, style, text) => {
+        if (end <= start) return;
+        events.push(`Dialogue: 0,${formatAssTime(start)},${formatAssTime(end)},${style},,0,0,0,,${text}`);
+    };
+
+    narration.lines.forEach(line => {
+        const words = line.words?.length ? line.words : [{ word: line.text, start: 0, end: line.duration }];
+        words.forEach((word, index) => {
+            const start = line.start + (index === 0 ? 0 : word.start);
+            const end = line.start + (index < words.length - 1 ? words[index + 1].start : line.duration);
+            const text = words
+                .map((w, i) => (i === index ? `${highlight}${escapeAssText(w.word)}${reset}` : escapeAssText(w.word)))
+                .join(' ');
+            addEvent(start, end, 'Caption', text);
+        });
+    });
+
+    const total = narration.duration + OUTRO_SECONDS;
+    addEvent(0, narration.duration, 'Watermark', 'Graxybot');
+    addEvent(narration.duration, total, 'Outro', '{\\fad(400,0)}Made with Graxybot\\N{\\fs40}Make your own at Graxybot.com');
+
+    return [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${VIDEO_WIDTH}`,
+        `PlayResY: ${VIDEO_HEIGHT}`,
+        'WrapStyle: 0',
+        'ScaledBorderAndShadow: yes',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        'Style: Caption,Arial,56,&H00FFFFFF,&H00FFFFFF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,4,2,2,60,60,220,1',
+        'Style: Watermark,Arial,32,&H60FFFFFF,&H60FFFFFF,&H80000000,&H00000000,-1,0,0,0,100,100,0,0,1,2,0,1,30,30,30,1',
+        'Style: Outro,Arial,64,&H00FFFFFF,&H00FFFFFF,&H00000000,&H00000000,-1,0,0,0,100,100,0,0,1,4,2,5,60,60,0,1',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        ...events,
+        ''
+    ].join('\n');
+}
+
+// Each narration clip is trimmed/padded to its timeline length so captions never drift from the audio.
+function buildFfmpegArgs(job, narration, clipFiles, total) {
+    const clipInputs = clipFiles.flatMap(file => ['-i', file]);
+    const clipFilters = narration.lines.map((line, index) =>
+        `[${index + 1}:a]aresample=44100,apad,atrim=0:${line.duration.toFixed(3)}[a${index}]`);
+    const clipLabels = narration.lines.map((line, index) => `[a${index}]`).join('');
+    const filterGraph = [
+        `[0:v]scale=${VIDEO_WIDTH}:${VIDEO_HEIGHT}:force_original_aspect_ratio=increase,crop=${VIDEO_WIDTH}:${VIDEO_HEIGHT},setsar=1,fps=30,ass=captions.ass[v]`,
+        ...clipFilters,
+        `${clipLabels}concat=n=${clipFiles.length}:v=0:a=1,apad[a]`
+    ].join(';');
+
+    return [
+        '-y', '-hide_banner', '-nostats', '-progress', 'pipe:1',
+        '-stream_loop', '-1', '-i', job.backgroundPath,
+        ...clipInputs,
+        '-filter_complex', filterGraph,
+        '-map', '[v]', '-map', '[a]',
+        '-t', total.toFixed(3),
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-b:a', '128k',
+        '-movflags', '+faststart',
+        job.outputPath
+    ];
+}
+
+function runFfmpeg(args, cwd, total, onProgress) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(FFMPEG_PATH, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+        let stderrTail = '';
+        const timer = setTimeout(() => child.kill('SIGKILL'), STORY_RENDER_TIMEOUT_MS);
+
+        child.stdout.on('data', chunk => {
+            const match = chunk.toString().match(/out_time_(?:us|ms)=(\d+)/g);
+            if (!match) return;
+            const seconds = Number(match[match.length - 1].split('=')[1]) / 1e6;
+            onProgress(Math.min(1, seconds / total));
+        });
+        child.stderr.on('data', chunk => {
+            stderrTail = (stderrTail + chunk.toString()).slice(-2000);
+        });
+        let spawnFailed = false;
+        child.on('error', error => {
+            spawnFailed = true;
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT' ? new Error('ffmpeg is not installed on the server.') : error);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (spawnFailed) return;
+            if (code === 0) return resolve();
+            console.error('ffmpeg failed:', signal || code, stderrTail);
+            reject(new Error(signal ? 'Video rendering timed out.' : 'Video rendering failed.'));
+        });
+    });
+}
+
+async function runJob(job) {
+    job.status = 'running';
+    job.stage = 'narrating';
+    const narration = await job.narrate((done, total) => {
+        job.progress = NARRATION_SHARE * (done / total);
+    });
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'graxybot-render-'));
+    try {
+        const clipFiles = [];
+        for (const [index, line] of narration.lines.entries()) {
+            const fileName = `line-${String(index).padStart(3, '0')}.mp3`;
+            await fs.promises.writeFile(path.join(workDir, fileName), Buffer.from(line.audio, 'base64'));
+            clipFiles.push(fileName);
+        }
+        await fs.promises.writeFile(path.join(workDir, 'captions.ass'), buildCaptionsAss(narration));
+        await fs.promises.mkdir(RENDER_DIR, { recursive: true });
+
+        job.stage = 'rendering';
+        const total = narration.duration + OUTRO_SECONDS;
+        await runFfmpeg(buildFfmpegArgs(job, narration, clipFiles, total), workDir, total, progress => {
+            job.progress = NARRATION_SHARE + (1 - NARRATION_SHARE) * progress;
+        });
+        job.duration = total;
+    } finally {
+        fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+function processQueue() {
+    if (activeJob || !queue.length) return;
+    activeJob = queue.shift();
+    const job = activeJob;
+    runJob(job)
+        .then(() => {
+            job.status = 'done';
+            job.stage = 'done';
+            job.progress = 1;
+        })
+        .catch(error => {
+            console.error(`Story render ${job.id} failed:`, error.message);
+            job.status = 'failed';
+            job.stage = 'failed';
+            job.error = error.response ? 'Failed to generate the narration.' : error.message;
+            fs.promises.rm(job.outputPath, { force: true }).catch(() => {});
+        })
+        .finally(() => {
+            job.finishedAt = Date.now();
+            job.narrate = null;
+            activeJob = null;
+            processQueue();
+        });
+}
+
+// `narrate(onLine)` resolves with the story narration (see /story/narration). Returns null when the
+// queue is full.
+function createRenderJob({ backgroundPath, narrate }) {
+    const pending = queue.length + (activeJob ? 1 : 0);
+    if (pending >= STORY_RENDER_MAX_PENDING) return null;
+    const id = crypto.randomBytes(12).toString('hex');
+    const job = {
+        id,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        error: null,
+        createdAt: Date.now(),
+        finishedAt: null,
+        backgroundPath,
+        narrate,
+        outputPath: path.join(RENDER_DIR, `${id}.mp4`)
+    };
+    jobs.set(id, job);
+    queue.push(job);
+    processQueue();
+    return job;
+}
+
+function getRenderJob(id) {
+    return jobs.get(String(id)) || null;
+}
+
+function describeRenderJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        stage: job.stage,
+        progress: Math.round(job.progress * 100) / 100,
+        position: job.status === 'queued' ? queue.indexOf(job) + 1 : 0,
+        error: job.error || undefined,
+        duration: job.duration,
+        fileUrl: job.status === 'done' ? `/story/render/${job.id}/file` : undefined
+    };
+}
+
+setInterval(() => {
+    const cutoff = Date.now() - STORY_RENDER_TTL_MS;
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && job.finishedAt < cutoff) {
+            jobs.delete(id);
+            fs.promises.rm(job.outputPath, { force: true }).catch(() => {});
+        }
+    }
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+    STORY_BACKGROUNDS,
+    createRenderJob,
+    getRenderJob,
+    describeRenderJob
+};
@@ -0,0 +1,331 @@
+const { parseExpression, evaluate } = require('./mathEval');
+
+// Tools the chat models can call through /chat. Each entry has the OpenAI function schema plus:
+//   label      shown to the user as "used <label>"
+//   run(args, context) -> { output, summary, event?, followUp? }
+//     output    JSON sent back to the model as the tool result
+//     summary   short text for the UI chip
+//     event     extra fields merged into the SSE tool event (e.g. a generated image)
+//     followUp  messages appended after the tool results (e.g. images for the model to look at)
+// `context` is supplied by the server: getChatImages() and generateImage(prompt).
+
+class ToolError extends Error {}
+
+// Factors to a base unit per dimension. Temperatures are handled separately.
+const UNIT_TABLE = {
+    length: {
+        m: 1, meter: 1, metre: 1, km: 1000, kilometer: 1000, cm: 0.01, centimeter: 0.01, mm: 0.001, millimeter: 0.001,
+        mi: 1609.344, mile: 1609.344, yd: 0.9144, yard: 0.9144, ft: 0.3048, foot: 0.3048, feet: 0.3048,
+        in: 0.0254, inch: 0.0254, inches: 0.0254, nmi: 1852
+    },
+    mass: {
+        kg: 1, kilogram: 1, g: 0.001, gram: 0.001, mg: 0.000001, milligram: 0.000001, t: 1000, tonne: 1000,
+        lb: 0.45359237, lbs: 0.45359237, pound: 0.45359237, oz: 0.028349523125, ounce: 0.028349523125,
+        st: 6.35029318, stone: 6.35029318, ton: 907.18474
+    },
+    volume: {
+        l: 1, liter: 1, litre: 1, ml: 0.001, milliliter: 0.001, m3: 1000, cm3: 0.001, cc: 0.001,
+        gal: 3.785411784, gallon: 3.785411784, qt: 0.946352946, quart: 0.946352946, pt: 0.473176473, pint: 0.473176473,
+        cup: 0.2365882365, floz: 0.0295735295625, tbsp: 0.01478676478125, tablespoon: 0.01478676478125,
+        tsp: 0.00492892159375, teaspoon: 0.00492892159375
+    },
+    time: {
+        s: 1, sec: 1, second: 1, ms: 0.001, millisecond: 0.001, min: 60, minute: 60, h: 3600, hr: 3600, hour: 3600,
+        day: 86400, d: 86400, week: 604800, wk: 604800, month: 2629800, year: 31557600, yr: 31557600
+    },
+    speed: {
+        'm/s': 1, 'km/h': 1 / 3.6, kph: 1 / 3.6, kmh: 1 / 3.6, mph: 0.44704, knot: 0.514444, kn: 0.514444, 'ft/s': 0.3048
+    },
+    area: {
+        m2: 1, km2: 1000000, cm2: 0.0001, mm2: 0.000001, ft2: 0.09290304, in2: 0.00064516, yd2: 0.83612736,
+        mi2: 2589988.110336, acre: 4046.8564224, hectare: 10000, ha: 10000
+    },
+    data: {
+        bit: 0.125, byte: 1, b: 1, kb: 1000, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1048576, gib: 1073741824, tib: 1099511627776
+    }
+};
+// "square feet" -> ft2 and so on.
+const SQUARE_UNIT_NAMES = {
+    meter: 'm', metre: 'm', kilometer: 'km', kilometre: 'km', centimeter: 'cm', centimetre: 'cm',
+    millimeter: 'mm', millimetre: 'mm', foot: 'ft', feet: 'ft', inch: 'in', inche: 'in', yard: 'yd', mile: 'mi'
+};
+const TEMPERATURE_UNITS = {
+    c: 'c', celsius: 'c', f: 'f', fahrenheit: 'f', k: 'k', kelvin: 'k'
+};
+
+function normalizeUnit(unit) {
+    let name = String(unit || '').trim().toLowerCase()
+        .replace(/^°\s*/, '')
+        .replace(/^degrees?\s+/, '')
+        .replace(/\s+/g, '')
+        .replace(/²/g, '2')
+        .replace(/³/g, '3')
+        .replace(/^sq(uare)?/, 'sq:')
+        .replace(/per/g, '/');
+    if (name.startsWith('sq:')) {
+        const base = name.slice(3).replace(/s$/, '');
+        name = `${SQUARE_UNIT_NAMES[base] || base}2`;
+    }
+    if (name === 'floz' || name === 'fl.oz' || name === 'fluidounce' || name === 'fluidounces') return 'floz';
+    return name;
+}
+
+function findUnit(unit) {
+    const name = normalizeUnit(unit);
+    const candidates = [name, name.replace(/e?s$/, ''), name.replace(/s$/, '')];
+    for (const candidate of candidates) {
+        if (TEMPERATURE_UNITS[candidate]) return { dimension: 'temperature', unit: TEMPERATURE_UNITS[candidate] };
+        for (const [dimension, units] of Object.entries(UNIT_TABLE)) {
+            if (units[candidate] !== undefined) return { dimension, factor: units[candidate] };
+        }
+    }
+    return null;
+}
+
+function convertTemperature(value, from, to) {
+    const celsius = from === 'c' ? value : from === 'f' ? (value - 32) * 5 / 9 : value - 273.15;
+    if (to === 'c') return celsius;
+    if (to === 'f') return celsius * 9 / 5 + 32;
+    return celsius + 273.15;
+}
+
+function roundResult(value) {
+    return Number(Number(value).toPrecision(12));
+}
+
+function parseDate(value, field) {
+    if (value === undefined || value === null || value === '' || value === 'now') return new Date();
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new ToolError(`${field} is not a date I can read: "${value}"`);
+    return date;
+}
+
+function formatInZone(date, timeZone) {
+    try {
+        return new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || 'UTC',
+            dateStyle: 'full',
+            timeStyle: 'long'
+        }).format(date);
+    } catch (err) {
+        throw new ToolError(`Unknown time zone "${timeZone}"`);
+    }
+}
+
+function addToDate(date, amount, unit) {
+    const result = new Date(date.getTime());
+    const name = String(unit || 'days').toLowerCase().replace(/s$/, '');
+    if (name === 'year') result.setUTCFullYear(result.getUTCFullYear() + amount);
+    else if (name === 'month') result.setUTCMonth(result.getUTCMonth() + amount);
+    else if (name === 'week') result.setUTCDate(result.getUTCDate() + amount * 7);
+    else if (name === 'day') result.setUTCDate(result.getUTCDate() + amount);
+    else if (name === 'hour') result.setTime(result.getTime() + amount * 3600000);
+    else if (name === 'minute') result.setTime(result.getTime() + amount * 60000);
+    else throw new ToolError(`Can't add "${unit}"; use minutes, hours, days, weeks, months or years`);
+    return result;
+}
+
+const TOOLS = {
+    calculator: {
+        label: 'calculator',
+        description: 'Evaluate an arithmetic expression exactly instead of doing mental math. Supports + - * / ^, parentheses, sqrt, abs, ln, log (base 10), sin/cos/tan (radians), pi, e and factorial (!).',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'Plain ASCII expression, e.g. "(17.5 * 12) / 3 + sqrt(2)"' }
+            },
+            required: ['expression']
+        },
+        run({ expression }) {
+            let value;
+            try {
+                value = evaluate(parseExpression(String(expression || '')), {});
+            } catch (error) {
+                throw new ToolError(error.message);
+            }
+            if (!Number.isFinite(value)) throw new ToolError('The expression has no finite value (check for variables or division by zero)');
+            const result = roundResult(value);
+            return { output: { expression, result }, summary: `${expression} = ${result}` };
+        }
+    },
+
+    convert_units: {
+        label: 'unit converter',
+        description: 'Convert a value between units of length, mass, volume, time, speed, area, data size or temperature.',
+        parameters: {
+            type: 'object',
+            properties: {
+                value: { type: 'number' },
+                from: { type: 'string', description: 'Unit to convert from, e.g. "mi", "lb", "°F", "cups"' },
+                to: { type: 'string', description: 'Unit to convert to, e.g. "km", "kg", "°C", "ml"' }
+            },
+            required: ['value', 'from', 'to']
+        },
+        run({ value, from, to }) {
+            const amount = Number(value);
+            if (!Number.isFinite(amount)) throw new ToolError('value must be a number');
+            const source = findUnit(from);
+            const target = findUnit(to);
+            if (!source) throw new ToolError(`Unknown unit "${from}"`);
+            if (!target) throw new ToolError(`Unknown unit "${to}"`);
+            if (source.dimension !== target.dimension) {
+                throw new ToolError(`Can't convert ${source.dimension} (${from}) to ${target.dimension} (${to})`);
+            }
+            const converted = source.dimension === 'temperature'
+                ? convertTemperature(amount, source.unit, target.unit)
+                : amount * source.factor / target.factor;
+            const result = roundResult(converted);
+            return { output: { value: amount, from, to, result }, summary: `${amount} ${from} = ${result} ${to}` };
+        }
+    },
+
+    date_time: {
+        label: 'date calculator',
+        description: "Date and time math: the current date/time in a time zone, adding time to a date, the difference between two dates, the weekday of a date, or converting a time to another time zone. Use this rather than guessing today's date.",
+        parameters: {
+            type: 'object',
+            properties: {
+                operation: { type: 'string', enum: ['now', 'add', 'difference', 'weekday', 'convert_timezone'] },
+                date: { type: 'string', description: 'ISO date or date-time; omit for now' },
+                other_date: { type: 'string', description: 'Second date for "difference"' },
+                amount: { type: 'number', description: 'Amount to add for "add" (negative to subtract)' },
+                unit: { type: 'string', enum: ['minutes', 'hours', 'days', 'weeks', 'months', 'years'] },
+                timezone: { type: 'string', description: 'IANA time zone, e.g. "America/New_York"; defaults to UTC' }
+            },
+            required: ['operation']
+        },
+        run({ operation, date, other_date: otherDate, amount, unit, timezone }) {
+            if (operation === 'now' || operation === 'convert_timezone') {
+                const value = parseDate(date, 'date');
+                const formatted = formatInZone(value, timezone);
+                return { output: { iso: value.toISOString(), timezone: timezone || 'UTC', formatted }, summary: formatted };
+            }
+            if (operation === 'add') {
+                const count = Number(amount);
+                if (!Number.isFinite(count)) throw new ToolError('amount must be a number');
+                const value = addToDate(parseDate(date, 'date'), count, unit);
+                const formatted = formatInZone(value, timezone);
+                return { output: { iso: value.toISOString(), formatted }, summary: formatted };
+            }
+            if (operation === 'difference') {
+                const start = parseDate(date, 'date');
+                const end = parseDate(otherDate, 'other_date');
+                const ms = end.getTime() - start.getTime();
+                const output = {
+                    days: roundResult(ms / 86400000),
+                    weeks: roundResult(ms / 604800000),
+                    hours: roundResult(ms / 3600000)
+                };
+                return { output, summary: `${output.days} days` };
+            }
+            if (operation === 'weekday') {
+                const value = parseDate(date, 'date');
+                const weekday = new Intl.DateTimeFormat('en-US', { timeZone: timezone || 'UTC', weekday: 'long' }).format(value);
+                return { output: { date: value.toISOString(), weekday }, summary: weekday };
+            }
+            throw new ToolError(`Unknown operation "${operation}"`);
+        }
+    },
+
+    get_chat_images: {
+        label: 'chat images',
+        description: 'Look at images from earlier in this conversation (photos the user attached or images you generated) that are no longer in your context.',
+        parameters: {
+            type: 'object',
+            properties: {
+                count: { type: 'integer', minimum: 1, maximum: 4, description: 'How many images, newest first (default 1)' },
+                skip: { type: 'integer', minimum: 0, description: 'How many of the newest images to skip (default 0)' }
+            }
+        },
+        async run({ count = 1, skip = 0 }, context) {
+            const images = await context.getChatImages();
+            const start = Math.max(0, Math.floor(Number(skip) || 0));
+            const picked = images.slice(start, start + Math.min(4, Math.max(1, Math.floor(Number(count) || 1))));
+            if (!picked.length) {
+                return { output: { images: [], note: 'No earlier images were found in this chat.' }, summary: 'no images found' };
+            }
+            const output = {
+                images: picked.map((image, index) => ({
+                    number: start + index + 1,
+                    from: image.from,
+                    prompt: image.prompt || undefined,
+                    sentAt: image.timestamp
+                })),
+                note: 'The images follow in the next message.'
+            };
+            const followUp = [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: '[Images from earlier in this chat, fetched with get_chat_images]' },
+                    ...picked.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+                ]
+            }];
+            return { output, summary: `${picked.length} image${picked.length > 1 ? 's' : ''}`, followUp };
+        }
+    },
+
+    generate_image: {
+        label: 'image generator',
+        description: 'Create an image from a text prompt when the user asks for a picture, drawing or illustration. The image is shown to the user directly.',
+        parameters: {
+            type: 'object',
+            properties: {
+                prompt: { type: 'string', description: 'Detailed description of the image to create' }
+            },
+            required: ['prompt']
+        },
+        async run({ prompt }, context) {
+            const text = String(prompt || '').trim();
+            if (!text) throw new ToolError('prompt is required');
+            const image = await context.generateImage(text);
+            return {
+                output: { status: 'generated', prompt: text, note: 'The image is already shown to the user above your reply. Do not link or describe it at length.' },
+                summary: text,
+                event: { image: { mimeType: image.mimeType, data: image.image, prompt: text } }
+            };
+        }
+    }
+};
+
+// OpenAI `tools` array for the requested names (all tools when `names` is true).
+function getToolSchemas(names = true) {
+    const selected = names === true ? Object.keys(TOOLS) : names.filter(name => TOOLS[name]);
+    return selected.map(name => ({
+        type: 'function',
+        function: { name, description: TOOLS[name].description, parameters: TOOLS[name].parameters }
+    }));
+}
+
+function getToolLabel(name) {
+    return TOOLS[name]?.label || name;
+}
+
+// Runs one tool call from the model. Failures become an { error } result so the model can recover.
+async function runTool(name, rawArguments, context) {
+    const tool = TOOLS[name];
+    const label = getToolLabel(name);
+    if (!tool) {
+        return { label, ok: false, output: { error: `Unknown tool "${name}"` }, summary: 'unknown tool' };
+    }
+    let args;
+    try {
+        args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (err) {
+        return { label, ok: false, output: { error: 'Tool arguments were not valid JSON' }, summary: 'bad arguments' };
+    }
+    try {
+        const result = await tool.run(args || {}, context);
+        return { label, ok: true, ...result };
+    } catch (error) {
+        const message = error instanceof ToolError || error.expose ? error.message : 'The tool failed to run';
+        if (!(error instanceof ToolError)) console.error(`Tool ${name} failed:`, error.message);
+        return { label, ok: false, output: { error: message }, summary: message };
+    }
+}
+
+module.exports = {
+    ToolError,
+    getToolSchemas,
+    getToolLabel,
+    runTool
+};
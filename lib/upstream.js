@@ -0,0 +1,168 @@
+const axios = require('axios');
+
+// Shared client for every call to a model or TTS provider. Each attempt gets a timeout, transient
+// failures (network errors, 429, 5xx) are retried with exponential backoff that honours Retry-After,
+// and each provider has a circuit breaker: after enough failures in a row it is skipped for a cooldown
+// instead of making every user wait on it. With responseType 'stream' the timeout and retries only
+// cover the wait for response headers, so nothing is retried once the client has seen output.
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+// A Retry-After longer than this isn't worth holding the user's request open for.
+const MAX_RETRY_DELAY_MS = 8000;
+const BREAKER_FAILURE_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 30000;
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+const breakers = new Map(); // provider name -> { failures, openedUntil, probing }
+
+// Thrown without calling the provider while its breaker is open. Carries a status like adapter errors do.
+class UpstreamUnavailableError extends Error {
+    constructor(name, retryAfterMs) {
+        super(`${name} is temporarily unavailable.`);
+        this.name = 'UpstreamUnavailableError';
+        this.status = 503;
+        this.retryAfterMs = retryAfterMs;
+        this.details = `${name} failed ${BREAKER_FAILURE_THRESHOLD} times in a row; retrying it in ${Math.ceil(retryAfterMs / 1000)}s.`;
+    }
+}
+
+function getBreaker(name) {
+    if (!breakers.has(name)) breakers.set(name, { failures: 0, openedUntil: 0, probing: false });
+    return breakers.get(name);
+}
+
+// Open: fail fast until the cooldown ends. After that one request goes through as a probe; its
+// result closes the breaker again or re-opens it.
+function checkBreaker(name) {
+    const breaker = getBreaker(name);
+    if (!breaker.openedUntil) return;
+    const remainingMs = breaker.openedUntil - Date.now();
+    if (remainingMs > 0 || breaker.probing) {
+        throw new UpstreamUnavailableError(name, Math.max(remainingMs, 1000));
+    }
+    breaker.probing = true;
+}
+
+function recordSuccess(name) {
+    const breaker = getBreaker(name);
+    breaker.failures = 0;
+    breaker.openedUntil = 0;
+    breaker.probing = false;
+}
+
+function recordFailure(name) {
+    const breaker = getBreaker(name);
+    breaker.failures += 1;
+    if (breaker.probing || breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+        if (!breaker.openedUntil || breaker.probing) {
+            console.warn(`Circuit for ${name} opened after ${breaker.failures} failures.`);
+        }
+        breaker.openedUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    }
+    breaker.probing = false;
+}
+
+function isCircuitOpen(name) {
+    const breaker = breakers.get(name);
+    return Boolean(breaker?.openedUntil) && (breaker.openedUntil > Date.now() || breaker.probing);
+}
+
+// Errors that mean the provider is struggling, as opposed to a bad request or a bad key.
+function isTransientError(error) {
+    if (error.response) return RETRYABLE_STATUSES.has(error.response.status);
+    if (error.isAxiosError) return RETRYABLE_CODES.has(error.code);
+    // Errors raised from a provider's stream (Gemini quota errors, an open breaker) carry a status instead.
+    return RETRYABLE_STATUSES.has(error.status);
+}
+
+// Retry-After is either seconds or an HTTP date. Returns milliseconds, or null if absent.
+function parseRetryAfter(headers) {
+    const value = headers?.['retry-after'];
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// True for the error axios throws when `config.signal` aborts a call, including mid-stream.
+function isCancelledError(error) {
+    return axios.isCancel(error);
+}
+
+// Delay before the next attempt, or null when the provider asked us to wait too long.
+function getRetryDelay(error, attempt) {
+    const retryAfterMs = parseRetryAfter(error.response?.headers);
+    if (retryAfterMs !== null) {
+        return retryAfterMs <= MAX_RETRY_DELAY_MS ? retryAfterMs : null;
+    }
+    const backoff = BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS;
+    return Math.min(backoff, MAX_RETRY_DELAY_MS);
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new axios.CanceledError());
+        }, { once: true });
+    });
+}
+
+// axios(config) for provider `name` with timeout, retries and the breaker. Options: timeoutMs,
+// retries. Resolves with the axios response; rejects with the last axios error, or with
+// UpstreamUnavailableError while the breaker is open. `config.signal` cancels the call, the wait
+// between retries and, for responseType 'stream', the stream itself.
+async function requestUpstream(name, config, { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        checkBreaker(name);
+        try {
+            const response = await axios({ timeout: timeoutMs, ...config });
+            recordSuccess(name);
+            return response;
+        } catch (error) {
+            // Cancelled by us (client went away): says nothing about the provider.
+            if (isCancelledError(error)) {
+                getBreaker(name).probing = false;
+                throw error;
+            }
+            if (!isTransientError(error)) {
+                // A 4xx still means the provider is up and answering.
+                if (error.response) recordSuccess(name);
+                else recordFailure(name);
+                throw error;
+            }
+            recordFailure(name);
+            const delay = getRetryDelay(error, attempt);
+            if (attempt >= retries || delay === null || isCircuitOpen(name)) {
+                throw error;
+            }
+            // Stream error bodies hold the socket open until they are read or destroyed.
+            error.response?.data?.destroy?.();
+            console.warn(`${name} request failed (${error.response?.status || error.code}), retry ${attempt + 1} in ${Math.round(delay)}ms.`);
+            await wait(delay, config.signal);
+        }
+    }
+}
+
+// Breaker state per provider, for the admin metrics.
+function getUpstreamStatus() {
+    return Object.fromEntries([...breakers].map(([name, breaker]) => [name, {
+        state: !breaker.openedUntil ? 'closed' : (breaker.openedUntil > Date.now() ? 'open' : 'half-open'),
+        consecutiveFailures: breaker.failures,
+        retryInMs: Math.max(0, breaker.openedUntil - Date.now())
+    }]));
+}
+
+module.exports = {
+    UpstreamUnavailableError,
+    requestUpstream,
+    isTransientError,
+    isCancelledError,
+    isCircuitOpen,
+    getUpstreamStatus
+};
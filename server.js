@@ -1,278 +1,1018 @@
 const express = require('express');
 const path = require('path');
-const cors = require('cors'); // Import the cors middleware
-const axios = require('axios'); // For making HTTP requests to OpenAI and ElevenLabs
+const crypto = require('crypto');
+const { createJsonStore } = require('./lib/jsonStore');
+const { resolveProvider, resolveFailover, parseDataUrl, readSseStream, readErrorBody } = require('./lib/providers');
+const { requestUpstream, isTransientError, isCancelledError, getUpstreamStatus } = require('./lib/upstream');
+const { ELEVENLABS_MODEL_ID, resolveVoiceSettings, synthesizeSpeech, synthesizeWithTimestamps, readElevenLabsError } = require('./lib/elevenlabs');
+const { STORY_BACKGROUNDS, createRenderJob, getRenderJob, describeRenderJob } = require('./lib/storyRender');
+const { verifySolution } = require('./lib/mathEval');
+const { ToolError, getToolSchemas, getToolLabel, runTool } = require('./lib/tools');
+const { PREVIEW_CSP, applyHtmlEdits, diffHtml } = require('./lib/designVersions');
+const { resolveRunLanguage, runCode } = require('./lib/codeRunner');
+const { securityHeaders, createPublicFiles, createOriginGuard, parseOriginList, parseTrustProxy } = require('./lib/security');
+const { moderate, moderateTurns, getUserTurns } = require('./lib/moderation');
+const { METRICS_RETENTION_DAYS, CANCELLED_STATUS, estimateTokens, recordUsage, getBudgetStatus, getMetricsSummary } = require('./lib/metrics');
+const { readPromptRequest, renderSystemPrompt, addContextMessage, listPersonas, listTemplates, getTemplate, addTemplateVersion, activateTemplateVersion } = require('./lib/prompts');
 // require('dotenv').config(); // Only needed for local development, Render handles env vars automatically.
 
 const app = express();
 const port = process.env.PORT || 3000;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 
-// Enable CORS for all origins. In a production environment, you might want to restrict this
-// to only your frontend's domain for enhanced security.
-app.use(cors());
+// Rolling-window usage caps, mirrored by CHAT_USAGE_LIMIT / IMAGE_USAGE_LIMIT / SEARCH_USAGE_LIMIT
+// in graxybot.html. The browser copy is only a hint; these are the ones that count.
+const USAGE_LIMITS = {
+    chats: { limit: Number(process.env.CHAT_USAGE_LIMIT) || 50, windowMs: 2 * 60 * 60 * 1000 },
+    images: { limit: Number(process.env.IMAGE_USAGE_LIMIT) || 10, windowMs: 2 * 60 * 60 * 1000 },
+    searches: { limit: Number(process.env.SEARCH_USAGE_LIMIT) || 5, windowMs: 12 * 60 * 60 * 1000 },
+    // Calls the app makes on its own (see /chat/background), kept apart so they never use up chats.
+    background: { limit: Number(process.env.BACKGROUND_USAGE_LIMIT) || 40, windowMs: 2 * 60 * 60 * 1000 }
+};
+const CLIENT_COOKIE_NAME = 'graxybot_client';
+const CLIENT_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+// Without a configured secret, cookies are signed with a per-process key and simply get reissued after a restart.
+const CLIENT_COOKIE_SECRET = process.env.CLIENT_COOKIE_SECRET || crypto.randomBytes(32).toString('hex');
+// Every request is also charged to its IP, whose caps are this many times the per-client ones so a
+// few people sharing a network still fit. Without it, a fresh cookie would start from a full quota.
+const IP_USAGE_MULTIPLIER = Math.max(1, Number(process.env.IP_USAGE_MULTIPLIER) || 3);
+const usageByClient = new Map(); // usage key -> { chats: [timestamps], images: [...], searches: [...] }
+
+// Synced chat history, keyed by a hash of each browser's anonymous device token.
+const chatStore = createJsonStore('chats.json', { devices: {} });
+const DEVICE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const CHAT_ID_PATTERN = /^[A-Za-z0-9_-]{1,80}$/;
+const MAX_SYNCED_CHATS_PER_DEVICE = 1000;
+
+// Anonymous devices can store a lot each, so new ones are limited per IP (otherwise minting tokens
+// multiplies every per-device cap), and each store stops taking new data past STORE_MAX_MB.
+const NEW_DEVICES_PER_IP = Number(process.env.NEW_DEVICES_PER_IP) || 20;
+const NEW_DEVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const STORE_MAX_BYTES = (Number(process.env.STORE_MAX_MB) || 200) * 1024 * 1024;
+const newDevicesByIp = new Map(); // ip -> [timestamps]
+
+// Web design projects and their numbered versions, owned by the same hashed device tokens.
+const designStore = createJsonStore('designs.json', { projects: {} });
+
+// Read-only snapshots of chats, served at /s/:shareId and owned by the device token that shared them.
+const shareStore = createJsonStore('shares.json', { shares: {} });
+
+// req.ip (and with it the per-ip usage caps) comes from X-Forwarded-For, trusting TRUST_PROXY hops
+// of it. It should match the proxies actually in front of the app: too many and clients can pick
+// their own ip, too few and every request looks like it came from the proxy.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// Only these files are served from the project folder; server code, package files, system_prompts
+// and data/ stay private. Add new assets here.
+const PUBLIC_FILES = [
+    'graxybot.html',
+    'download.html',
+    'graxybot.png',
+    'header.png',
+    'header2.png',
+    'popup.png',
+    ...STORY_BACKGROUNDS
+];
+// Sites (besides this one) allowed to call the API, e.g. ALLOWED_ORIGINS=https://graxybot.com
+const ALLOWED_ORIGINS = parseOriginList(process.env.ALLOWED_ORIGINS);
+// JSON body limits by path prefix. Only routes that carry base64 images get the big ones.
+const BODY_LIMITS = [
+    ['/chat', '15mb'],
+    ['/openai/chat', '15mb'],
+    ['/gemini/chat', '15mb'],
+    ['/chats', '15mb'],
+    ['/share', '15mb'],
+    ['/gemini/image', '12mb'],
+    ['/design', '1mb'],
+    ['/openai/search', '1mb'],
+    ['/story', '200kb']
+];
+const DEFAULT_BODY_LIMIT = '100kb';
+
+app.use(securityHeaders);
+
+const publicFiles = createPublicFiles(__dirname, PUBLIC_FILES);
+app.use(publicFiles);
+
+// The app itself lives at the root URL.
+app.get('/', (req, res, next) => publicFiles.send(res, 'graxybot.html', next));
+
+app.use(createOriginGuard(ALLOWED_ORIGINS));
+
+BODY_LIMITS.forEach(([prefix, limit]) => app.use(prefix, express.json({ limit })));
+// Anything already parsed above is skipped here.
+app.use(express.json({ limit: DEFAULT_BODY_LIMIT }));
+
+// --- Client identity & usage limiting ---
+
+function signClientId(id) {
+    return crypto.createHmac('sha256', CLIENT_COOKIE_SECRET).update(id).digest('base64url');
+}
 
-// Enable parsing of JSON request bodies with a larger limit to handle images encoded in base64.
-app.use(express.json({ limit: '15mb' }));
+function readCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+    for (const pair of header.split(';')) {
+        const index = pair.indexOf('=');
+        if (index === -1) continue;
+        if (pair.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(pair.slice(index + 1).trim());
+            } catch (err) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
 
-// Serve static files from the current directory. This will serve your graxybot.html
-// and any other static assets (like graxybot.png, CSS, etc.)
-app.use(express.static(path.join(__dirname)));
+// Returns the verified client id from the signed cookie, or null if it is missing or tampered with.
+function readClientCookie(req) {
+    const value = readCookie(req, CLIENT_COOKIE_NAME);
+    if (!value) return null;
+    const [id, signature] = value.split('.');
+    if (!id || !signature) return null;
+    const expected = Buffer.from(signClientId(id));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+    return id;
+}
 
-// Route to explicitly serve your main HTML file.
-// If your HTML file is named 'index.html', Express's static middleware handles it automatically.
-// If it's 'graxybot.html', this route ensures it's served when someone accesses the root URL.
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'graxybot.html'));
-});
+// Identifies the caller for rate limiting. Browsers get a signed cookie; anything that doesn't send
+// one back (curl, scripts, cleared storage) is keyed by IP so it can't dodge the caps by dropping cookies.
+function identifyClient(req, res) {
+    const cookieId = readClientCookie(req);
+    if (cookieId) {
+        return `cookie:${cookieId}`;
+    }
+    const newId = crypto.randomBytes(16).toString('hex');
+    res.cookie(CLIENT_COOKIE_NAME, `${newId}.${signClientId(newId)}`, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: CLIENT_COOKIE_MAX_AGE_MS
+    });
+    return `ip:${req.ip}`;
+}
 
-// OpenAI Chat Proxy Endpoint
-// This endpoint receives requests from your frontend, adds the API key,
-// and forwards them to OpenAI, then streams the response back.
-app.post('/openai/chat', async (req, res) => {
-  // Get the OpenAI API Key from Render's environment variables.
-  // This is secure as it's never exposed in client-side code.
-  // Get the model from the request body, or default to gpt-4.1-mini
-  const model = req.body.model || "gpt-5-mini";
+function getUsageRecord(clientKey) {
+    let record = usageByClient.get(clientKey);
+    if (!record) {
+        record = { chats: [], images: [], searches: [], background: [] };
+        usageByClient.set(clientKey, record);
+    }
+    const now = Date.now();
+    Object.keys(USAGE_LIMITS).forEach((type) => {
+        const { windowMs } = USAGE_LIMITS[type];
+        record[type] = record[type].filter((ts) => now - ts < windowMs);
+    });
+    return record;
+}
 
-  // Basic validation to ensure the API key is set
-  if (!OPENAI_API_KEY) {
-    console.error('Error: OPENAI_API_KEY environment variable not set on the server.');
-    return res.status(500).json({ error: 'Server configuration error: OpenAI API key is missing.' });
-  }
+function getUsageStatus(record, type, scale = 1) {
+    const limit = USAGE_LIMITS[type].limit * scale;
+    const { windowMs } = USAGE_LIMITS[type];
+    const list = record[type];
+    const count = list.length;
+    const remainingMs = count > 0 ? Math.max(0, windowMs - (Date.now() - Math.min(...list))) : 0;
+    return { count, limit, windowMs, remainingMs };
+}
 
-  try {
-    // Extract messages from the frontend's request body
-    const messages = req.body.messages;
+// The buckets a request counts against: its client (req.clientKey) and its IP.
+function getUsageBuckets(req) {
+    return [{ key: req.clientKey, scale: 1 }, { key: `net:${req.ip}`, scale: IP_USAGE_MULTIPLIER }];
+}
+
+// The status of whichever of the request's buckets is closest to its cap.
+function getRequestUsageStatus(req, type) {
+    return getUsageBuckets(req)
+        .map(({ key, scale }) => getUsageStatus(getUsageRecord(key), type, scale))
+        .reduce((tightest, status) => (status.limit - status.count < tightest.limit - tightest.count ? status : tightest));
+}
 
-    // Validate that messages were provided
-    if (!messages) {
-      return res.status(400).json({ error: 'No messages provided in the request body for OpenAI chat.' });
+// Charges one unit of `type` to the request's client and IP, stamped `at`. Returns null, or the usage
+// status of the cap that's already hit.
+function consumeUsage(req, type, at = Date.now()) {
+    const buckets = getUsageBuckets(req);
+    const blocked = buckets
+        .map(({ key, scale }) => getUsageStatus(getUsageRecord(key), type, scale))
+        .find((status) => status.count >= status.limit);
+    if (blocked) {
+        return blocked;
     }
+    buckets.forEach(({ key }) => getUsageRecord(key)[type].push(at));
+    return null;
+}
 
-    // Prepare headers for the request to the actual OpenAI API
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENAI_API_KEY}`, // Use the securely accessed API key
-      'Accept-Encoding': 'identity' // Disable compression to prevent Brotli errors
-    };
+// Takes back a unit charged by consumeUsage(req, type, at).
+function refundUsage(req, type, at) {
+    getUsageBuckets(req).forEach(({ key }) => {
+        const times = getUsageRecord(key)[type];
+        const index = times.lastIndexOf(at);
+        if (index !== -1) times.splice(index, 1);
+    });
+}
 
-    // Prepare the payload for the OpenAI API
-    const payload = {
-      model: model, // Use the dynamically selected model
-      messages: messages,
-      stream: true // Enable streaming from OpenAI to pipe directly back to the client
+// Handlers call this right before their first upstream call (or code run). Until then, an error
+// response gives the unit enforceUsage charged back, so bad bodies, missing keys and moderation
+// refusals don't use up anyone's cap.
+function markUsageSpent(req) {
+    req.usageSpent = true;
+}
+
+// Route middleware that charges one unit of `type` to the caller, or rejects with a structured 429.
+function enforceUsage(type) {
+    return (req, res, next) => {
+        req.clientKey = identifyClient(req, res);
+        // Charged up front so parallel requests can't all slip under the cap; see markUsageSpent.
+        const chargedAt = Date.now();
+        const status = consumeUsage(req, type, chargedAt);
+        if (status) {
+            res.setHeader('Retry-After', Math.ceil(status.remainingMs / 1000));
+            return res.status(429).json({
+                error: 'usage_limit',
+                type,
+                limit: status.limit,
+                count: status.count,
+                remainingMs: status.remainingMs,
+                resetAt: new Date(Date.now() + status.remainingMs).toISOString(),
+                message: type === 'searches'
+                    ? "looks like graxybot's under high usage, try asking again later."
+                    : `${type === 'images' ? 'image' : 'chat'} limit reached.`
+            });
+        }
+        res.on('finish', () => {
+            if (!req.usageSpent && res.statusCode >= 400) refundUsage(req, type, chargedAt);
+        });
+        next();
     };
+}
 
-    // Make the streaming request to OpenAI using axios
-    const openaiResponse = await axios({
-      method: 'post',
-      url: 'https://api.openai.com/v1/chat/completions',
-      data: payload,
-      headers: headers,
-      responseType: 'stream' // Crucial for handling the response as a stream
+// Route middleware for anything that costs money upstream. Once the day's estimated spend passes
+// DAILY_BUDGET_USD, everyone gets the friendly high-usage message until midnight UTC.
+function enforceBudget(req, res, next) {
+    const budget = getBudgetStatus();
+    if (!budget.exceeded) {
+        return next();
+    }
+    res.setHeader('Retry-After', Math.ceil(budget.resetsInMs / 1000));
+    return res.status(503).json({
+        error: 'budget_exceeded',
+        remainingMs: budget.resetsInMs,
+        message: "looks like graxybot's under high usage right now, try asking again later."
     });
+}
 
-    // Set appropriate headers for the client to receive a server-sent event (SSE) stream
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+// Route middleware that sets req.signal, which aborts if the client disconnects before the response
+// is finished. Upstream calls made with it (chat, search, image, TTS) are cancelled instead of
+// running, and billing, to the end for nobody.
+function abortOnDisconnect(req, res, next) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    req.signal = controller.signal;
+    next();
+}
 
-    // Pipe the raw stream data from OpenAI directly to the client's response.
-    // This is efficient as the server doesn't buffer the entire response.
-    openaiResponse.data.pipe(res);
+// Status recorded in the metrics for a failed upstream call.
+function getFailureStatus(error) {
+    return isCancelledError(error) ? CANCELLED_STATUS : error.response?.status || error.status || 500;
+}
 
-    // Log when the OpenAI stream ends or encounters an error
-    openaiResponse.data.on('end', () => {
-      console.log('OpenAI stream to client ended successfully.');
+// Drop clients whose windows have fully expired so the map doesn't grow forever.
+setInterval(() => {
+    for (const [clientKey] of usageByClient) {
+        const record = getUsageRecord(clientKey);
+        if (Object.keys(USAGE_LIMITS).every((type) => record[type].length === 0)) {
+            usageByClient.delete(clientKey);
+        }
+    }
+    const deviceCutoff = Date.now() - NEW_DEVICE_WINDOW_MS;
+    for (const [ip, times] of newDevicesByIp) {
+        if (times.every((time) => time <= deviceCutoff)) {
+            newDevicesByIp.delete(ip);
+        }
+    }
+}, 10 * 60 * 1000).unref();
+
+// Current usage for the calling client, shown in the settings "usage" tab.
+app.get('/usage', (req, res) => {
+    req.clientKey = identifyClient(req, res);
+    const usage = {};
+    Object.keys(USAGE_LIMITS).forEach((type) => {
+        usage[type] = getRequestUsageStatus(req, type);
     });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(usage);
+});
 
-    openaiResponse.data.on('error', (err) => {
-      console.error('Error during OpenAI stream to client:', err);
-      // If headers haven't been sent, send an error status. Otherwise, just end the response.
-      if (!res.headersSent) {
-          res.status(500).send('Error streaming response from OpenAI.');
-      } else {
-          res.end(); // Close the connection gracefully
-      }
+// --- Chat tools ---
+// With `tools: true` in the body, OpenAI-compatible models may call the tools in lib/tools.js. The
+// proxy runs each call, feeds the result back and keeps streaming, announcing every call to the client
+// as a `{ tool: { id, name, label, status, summary } }` event (plus `image` for generated images).
+const MAX_TOOL_ROUNDS = 4;
+const MAX_TOOL_CALLS_PER_ROUND = 8;
+
+// Images from the synced copy of the caller's chat, newest first. Needs X-Device-Token and chatId,
+// and only sees messages that have already synced.
+function findChatImages(req) {
+    const token = req.get('X-Device-Token');
+    const chatId = req.body.chatId;
+    if (!token || !DEVICE_TOKEN_PATTERN.test(token) || typeof chatId !== 'string' || !CHAT_ID_PATTERN.test(chatId)) {
+        return [];
+    }
+    const chat = chatStore.data.devices[hashDeviceToken(token)]?.chats?.[chatId];
+    if (!chat || chat.deletedAt) return [];
+
+    const images = [];
+    chat.messages.slice().reverse().forEach((msg) => {
+        const found = [];
+        (msg.parts || []).forEach((part) => {
+            if (part?.image?.data) found.push({ ...part.image, from: 'user' });
+        });
+        const generated = parseDataUrl(msg.generatedMediaSrc);
+        if (generated) found.push({ ...generated, from: 'assistant', prompt: msg.mediaPrompt });
+        found.forEach((image) => {
+            if (!CHAT_IMAGE_MIME_TYPES.includes(image.mimeType)) return;
+            if (Buffer.byteLength(image.data, 'base64') > CHAT_IMAGE_MAX_BYTES) return;
+            images.push({ ...image, timestamp: msg.timestamp });
+        });
     });
+    return images;
+}
 
-  } catch (error) {
-    // Handle errors from axios (e.g., network issues, OpenAI API errors)
-    console.error('Error proxying OpenAI request:', error.response?.data || error.message);
-    if (!res.headersSent) {
-        res.status(error.response?.status || 500).json({
-            error: 'Failed to communicate with OpenAI API',
-            details: error.response?.data || error.message
-        });
-    } else {
-        res.end(); // Close the connection gracefully
+function createToolContext(req) {
+    return {
+        getChatImages: async () => findChatImages(req),
+        generateImage: async (prompt) => {
+            const apiKey = process.env.OPENAI_API_KEY;
+            if (!apiKey) {
+                throw new ToolError('Image generation is not configured on this server.');
+            }
+            if (getBudgetStatus().exceeded) {
+                throw new ToolError('image generation is paused because of high usage, tell the user to try again later.');
+            }
+            // Tool-made images count against the same cap as the image button.
+            const usage = consumeUsage(req, 'images');
+            if (usage) {
+                throw new ToolError('image limit reached, tell the user to try again later.');
+            }
+            const result = await createImage(apiKey, prompt, { clientKey: req.clientKey, route: `${req.path} (tool)`, signal: req.signal });
+            if (result.body) {
+                throw new ToolError(result.body.message || result.body.error);
+            }
+            return result;
+        }
+    };
+}
+
+// Unified Chat Proxy Endpoint
+// Picks the backend from the model name (see lib/providers.js), adds the API key on the server,
+// and always streams back OpenAI-style SSE deltas, which is what streamOpenAIResponse reads.
+// The system message comes from lib/prompts.js (`prompt` in the body picks the template and
+// persona). Clients may only send user and assistant turns: the adapters would pass other roles on
+// (or turn them into user turns), past moderation and over the server's system prompt.
+const CLIENT_MESSAGE_ROLES = ['user', 'assistant'];
+
+async function handleChatRequest(req, res, defaultModel) {
+    const model = req.body.model || defaultModel;
+    const messages = Array.isArray(req.body.messages) ? req.body.messages : [];
+
+    if (messages.length === 0) {
+        return res.status(400).json({ error: 'No messages provided in the request body for chat.' });
     }
-  }
+    if (!messages.every((msg) => CLIENT_MESSAGE_ROLES.includes(msg?.role))) {
+        return res.status(400).json({ error: 'invalid_messages', message: 'Messages must have the role "user" or "assistant".' });
+    }
+
+    const promptRequest = readPromptRequest(req.body.prompt);
+    if (promptRequest.error) {
+        return res.status(promptRequest.status || 400).json({ error: 'invalid_prompt', message: promptRequest.error });
+    }
+
+    const imageError = validateMessageImages(messages);
+    if (imageError) {
+        return res.status(400).json({ error: 'invalid_image', message: imageError });
+    }
+
+    const provider = resolveProvider(model);
+    if (!provider) {
+        return res.status(400).json({ error: `Unknown model "${model}".` });
+    }
+    if (!provider.isConfigured) {
+        console.error(`Error: ${provider.apiKeyEnv} environment variable not set on the server.`);
+        return res.status(500).json({ error: `Server configuration error: ${provider.label} API key is missing.` });
+    }
+
+    const modelMessages = addContextMessage(promptRequest, messages);
+    const verdict = await moderateTurns('chat', getUserTurns(modelMessages), req.clientKey);
+    if (!verdict.allowed) {
+        return res.status(verdict.status).json(verdict.body);
+    }
+    markUsageSpent(req);
+
+    // Which backend is answering. It only changes if we fail over before anything was sent.
+    let answering = { provider, model };
+
+    // Headers go out with the first token, so failures before that still get a real HTTP status (or a
+    // failover). The first event names the model that actually answered.
+    const startStream = () => {
+        if (res.headersSent) return;
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Graxybot-Model', answering.model);
+        res.write(`data: ${JSON.stringify({
+            model: { name: answering.model, provider: answering.provider.label, requested: model, failover: answering.model !== model }
+        })}\n\n`);
+    };
+
+    const sendEvent = (payload) => {
+        startStream();
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    // Runs the whole exchange (including tool rounds) on one backend. Tokens add up over the rounds;
+    // each backend's attempt is recorded as one request in the metrics. Rounds the backend didn't report
+    // usage for (including one cut off by a cancel, which is still billed) are estimated.
+    const runChat = async ({ provider: chatProvider, model: chatModel }) => {
+        const useTools = req.body.tools === true && chatProvider.supportsTools;
+        const toolContext = useTools ? createToolContext(req) : null;
+        const startedAt = Date.now();
+        const tokens = { inputTokens: 0, outputTokens: 0 };
+        const recordChat = (status) => recordUsage({ route: req.path, model: chatModel, status, latencyMs: Date.now() - startedAt, ...tokens });
+        const addEstimate = (round) => {
+            tokens.inputTokens += estimateTokens(round.messages);
+            tokens.outputTokens += estimateTokens(round.text);
+        };
+        let pendingRound = null;
+
+        try {
+            let conversation = [{ role: 'system', content: renderSystemPrompt(promptRequest, { modelName: chatModel }) }, ...modelMessages];
+            for (let round = 0; ; round++) {
+                // The last round gets no tools, so the model has to answer with what it has.
+                const tools = useTools && round < MAX_TOOL_ROUNDS ? getToolSchemas() : undefined;
+                pendingRound = { messages: conversation, text: '' };
+                const result = await chatProvider.streamCompletion({ model: chatModel, messages: conversation, tools, signal: req.signal }, (content) => {
+                    pendingRound.text += content;
+                    sendEvent({ choices: [{ delta: { content } }] });
+                });
+                const roundText = pendingRound.text;
+                if (result?.usage) {
+                    tokens.inputTokens += result.usage.inputTokens;
+                    tokens.outputTokens += result.usage.outputTokens;
+                } else {
+                    addEstimate(pendingRound);
+                }
+                pendingRound = null;
+                const toolCalls = result?.toolCalls || [];
+                if (!tools || toolCalls.length === 0) break;
+
+                conversation = [...conversation, {
+                    role: 'assistant',
+                    content: roundText || null,
+                    tool_calls: toolCalls.map((call) => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: call.arguments }
+                    }))
+                }];
+                const followUps = [];
+                for (const [index, call] of toolCalls.entries()) {
+                    const label = getToolLabel(call.name);
+                    // Every call needs a matching tool message, even the ones we refuse to run.
+                    if (index >= MAX_TOOL_CALLS_PER_ROUND) {
+                        conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify({ error: 'Too many tool calls at once.' }) });
+                        continue;
+                    }
+                    sendEvent({ tool: { id: call.id, name: call.name, label, status: 'running' } });
+                    const outcome = await runTool(call.name, call.arguments, toolContext);
+                    console.log(`Tool ${call.name} ${outcome.ok ? 'ran' : 'failed'}: ${outcome.summary}`);
+                    sendEvent({
+                        tool: { id: call.id, name: call.name, label, status: outcome.ok ? 'done' : 'error', summary: outcome.summary },
+                        ...(outcome.event || {})
+                    });
+                    conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(outcome.output) });
+                    if (outcome.followUp) followUps.push(...outcome.followUp);
+                }
+                conversation.push(...followUps);
+            }
+            recordChat(200);
+        } catch (error) {
+            if (pendingRound && (isCancelledError(error) || pendingRound.text)) {
+                addEstimate(pendingRound);
+            }
+            recordChat(getFailureStatus(error));
+            throw error;
+        }
+    };
+
+    try {
+        try {
+            await runChat(answering);
+        } catch (error) {
+            // Nothing has reached the user yet, so another backend can still answer cleanly.
+            const fallback = !res.headersSent && isTransientError(error) ? resolveFailover(provider) : null;
+            if (!fallback) throw error;
+            console.warn(`${provider.label} failed before streaming (${error.response?.status || error.status || error.code}), failing over to ${fallback.model}.`);
+            error.response?.data?.destroy?.();
+            answering = fallback;
+            await runChat(answering);
+        }
+        startStream();
+        res.write('data: [DONE]\n\n');
+        res.end();
+        console.log(`${answering.provider.label} stream to client ended successfully.`);
+    } catch (error) {
+        if (req.signal.aborted) {
+            console.log(`Client disconnected, cancelled the ${answering.provider.label} chat request.`);
+            return;
+        }
+        const { status, message, details } = await answering.provider.normalizeError(error);
+        console.error(`Error proxying ${answering.provider.label} chat request:`, details);
+        if (!res.headersSent) {
+            res.status(status).json({ error: message, details });
+        } else {
+            res.write(`data: ${JSON.stringify({ error: message, details })}\n\n`);
+            res.write('data: [DONE]\n\n');
+            res.end();
+        }
+    }
+}
+
+app.post('/chat', enforceBudget, enforceUsage('chats'), abortOnDisconnect, (req, res) => handleChatRequest(req, res, 'gpt-5-mini'));
+
+// Provider-specific aliases kept for older clients; both go through the same handler.
+app.post('/openai/chat', enforceBudget, enforceUsage('chats'), abortOnDisconnect, (req, res) => handleChatRequest(req, res, 'gpt-5-mini'));
+app.post('/gemini/chat', enforceBudget, enforceUsage('chats'), abortOnDisconnect, (req, res) => handleChatRequest(req, res, 'gemini-2.0-flash'));
+
+// Helper calls the app makes without the user asking (memory suggestions, conversation summaries). The
+// server picks the template and model for each task, and they're metered under their own `background`
+// cap instead of the user's chats. Text only, and capped in size.
+const BACKGROUND_TASKS = {
+    memories: { template: 'memory_extractor', model: 'gpt-4.1-mini' },
+    summary: { template: 'context_summarizer', model: 'gpt-4.1-mini' }
+};
+const BACKGROUND_MAX_CHARS = 100000;
+
+app.post('/chat/background/:task', enforceBudget, enforceUsage('background'), abortOnDisconnect, (req, res) => {
+    const task = Object.prototype.hasOwnProperty.call(BACKGROUND_TASKS, req.params.task) ? BACKGROUND_TASKS[req.params.task] : null;
+    if (!task) {
+        return res.status(404).json({ error: 'Unknown background task.' });
+    }
+    const messages = Array.isArray(req.body.messages) ? req.body.messages : [];
+    if (!messages.every((msg) => typeof msg?.content === 'string')) {
+        return res.status(400).json({ error: 'Background tasks take text messages only.' });
+    }
+    if (messages.reduce((total, msg) => total + msg.content.length, 0) > BACKGROUND_MAX_CHARS) {
+        return res.status(413).json({ error: `Background tasks take at most ${BACKGROUND_MAX_CHARS} characters.` });
+    }
+    req.body = { messages, model: task.model, prompt: { template: task.template } };
+    return handleChatRequest(req, res, task.model);
 });
 
+// Personas for the app's picker. Send the id back as `prompt.persona` on chat and search requests.
+app.get('/prompts/personas', (req, res) => {
+    res.setHeader('Cache-Control', 'no-cache');
+    res.json({ personas: listPersonas(), default: 'default' });
+});
+
+// Deltamath agent: the client gets a worked solution from the chat model, then asks us to check it.
+// Each step's `math` (plain ASCII, e.g. "2x + 3 = 7") is evaluated locally; see lib/mathEval.js.
+const MATH_MAX_STEPS = 50;
+const MATH_MAX_FIELD_CHARS = 500;
+
+app.post('/math/verify', (req, res) => {
+    const solution = req.body.solution;
+    if (!solution || typeof solution !== 'object' || !Array.isArray(solution.steps)) {
+        return res.status(400).json({ error: 'solution with a steps array is required.' });
+    }
+    if (solution.steps.length > MATH_MAX_STEPS) {
+        return res.status(413).json({ error: `At most ${MATH_MAX_STEPS} steps can be checked.` });
+    }
+    const fields = [solution.problem, solution.answer?.math, ...solution.steps.map(step => step?.math)];
+    const solutionValues = Array.isArray(solution.answer?.solutions)
+        ? solution.answer.solutions.flatMap(values => Object.values(values || {}))
+        : [];
+    if ([...fields, ...solutionValues].some(field => field !== undefined && field !== null && String(field).length > MATH_MAX_FIELD_CHARS)) {
+        return res.status(413).json({ error: 'An expression is too long to check.' });
+    }
+    res.json(verifySolution(solution));
+});
+
+// Code runner behind the Run button on JavaScript and Python code blocks (see lib/codeRunner.js).
+// Runs are CPU-heavy, so only a couple go at once and they count against the chat cap.
+const RUN_MAX_CODE_CHARS = 20000;
+const RUN_MAX_CONCURRENT = 2;
+let activeRuns = 0;
+
+app.post('/run', enforceUsage('chats'), async (req, res) => {
+    const language = resolveRunLanguage(req.body.language);
+    if (!language) {
+        return res.status(400).json({ error: 'language must be javascript or python.' });
+    }
+    const code = req.body.code;
+    if (typeof code !== 'string' || !code.trim()) {
+        return res.status(400).json({ error: 'No code provided.' });
+    }
+    if (code.length > RUN_MAX_CODE_CHARS) {
+        return res.status(413).json({ error: `Code is too long (max ${RUN_MAX_CODE_CHARS} characters).` });
+    }
+    if (activeRuns >= RUN_MAX_CONCURRENT) {
+        res.setHeader('Retry-After', 5);
+        return res.status(503).json({ error: 'runner_busy', message: 'the code runner is busy, try again in a few seconds.' });
+    }
+
+    markUsageSpent(req);
+    activeRuns++;
+    try {
+        const result = await runCode(language, code);
+        res.json({ language, ...result });
+    } catch (error) {
+        console.error('Code run failed:', error.message);
+        res.status(error.status || 500).json({ error: 'Failed to run code', details: error.message });
+    } finally {
+        activeRuns--;
+    }
+});
+
+// Web search answers cite pages through url_citation annotations. OpenAI tags the links with
+// utm_source=openai; strip it so the same page cited twice collapses into one source.
+function cleanCitationUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.searchParams.delete('utm_source');
+        return parsed.toString();
+    } catch (err) {
+        return url;
+    }
+}
+
+// Builds [{ title, url, snippet }] from the collected annotations. The snippet is the stretch of
+// answer text the citation is attached to, trimmed back to the start of its sentence.
+function buildSearchSources(annotations, answer) {
+    const sources = new Map();
+    annotations.forEach((annotation) => {
+        if (annotation?.type !== 'url_citation' || typeof annotation.url !== 'string') return;
+        const url = cleanCitationUrl(annotation.url);
+        if (sources.has(url)) return;
+        let snippet = '';
+        if (Number.isInteger(annotation.start_index) && annotation.start_index <= answer.length) {
+            const before = answer.slice(Math.max(0, annotation.start_index - 240), annotation.start_index);
+            const sentenceStart = Math.max(before.lastIndexOf('. '), before.lastIndexOf('\n'));
+            snippet = before.slice(sentenceStart + 1).replace(/\s+/g, ' ').trim();
+        }
+        sources.set(url, { title: annotation.title || url, url, snippet });
+    });
+    return Array.from(sources.values());
+}
+
+const SEARCH_TIMEOUT_MS = 60000;
+
 // OpenAI web search endpoint (Responses API + web_search tool)
-app.post('/openai/search', async (req, res) => {
+// Streams the answer as OpenAI-style SSE deltas (same framing as /chat), then sends one
+// `{ sources: [...] }` event with the cited pages before [DONE].
+app.post('/openai/search', enforceBudget, enforceUsage('searches'), abortOnDisconnect, async (req, res) => {
   if (!OPENAI_API_KEY) {
     console.error('Error: OPENAI_API_KEY environment variable not set on the server.');
     return res.status(500).json({ error: 'Server configuration error: OpenAI API key is missing.' });
   }
 
   const query = typeof req.body.query === 'string' ? req.body.query.trim() : '';
-  const instructions = typeof req.body.instructions === 'string' ? req.body.instructions.trim() : '';
   if (!query) {
     return res.status(400).json({ error: 'No query provided for OpenAI search.' });
   }
+  // Only the search template makes sense here; the persona and variables are up to the client.
+  const promptRequest = readPromptRequest(req.body.prompt, 'search');
+  if (!promptRequest.error && promptRequest.template !== 'search') {
+    promptRequest.error = 'Search requests use the "search" prompt template.';
+  }
+  if (promptRequest.error) {
+    return res.status(promptRequest.status || 400).json({ error: 'invalid_prompt', message: promptRequest.error });
+  }
+
+  const verdict = await moderate('search', { text: query, clientKey: req.clientKey });
+  if (!verdict.allowed) {
+    return res.status(verdict.status).json(verdict.body);
+  }
+  markUsageSpent(req);
 
   const headers = {
     'Content-Type': 'application/json',
-    'Authorization': `Bearer ${OPENAI_API_KEY}`
+    'Authorization': `Bearer ${OPENAI_API_KEY}`,
+    'Accept-Encoding': 'identity'
   };
 
   const payload = {
     model: 'gpt-5.1',
     tools: [{ type: 'web_search' }],
-    input: query
+    input: query,
+    stream: true
   };
-  if (instructions) {
-    payload.instructions = instructions;
-  }
+  payload.instructions = renderSystemPrompt(promptRequest, { modelName: payload.model });
 
-  try {
-    const openaiResponse = await axios.post('https://api.openai.com/v1/responses', payload, { headers });
-    const data = openaiResponse.data || {};
-    let text = '';
-
-    const coerceToText = (chunks = []) => {
-      return chunks
-        .map((chunk) => {
-          if (!chunk) return '';
-          if (typeof chunk === 'string') return chunk;
-          if (typeof chunk.text === 'string') return chunk.text;
-          if (Array.isArray(chunk.content)) {
-            return chunk.content.map((part) => part?.text || '').join('');
-          }
-          return '';
-        })
-        .join('\n')
-        .trim();
-    };
+  const startStream = () => {
+    if (res.headersSent) return;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+  };
 
-    if (Array.isArray(data.output_text) && data.output_text.length) {
-      text = data.output_text.join('\n').trim();
-    }
-    if (!text && typeof data.output_text === 'string') {
-      text = data.output_text.trim();
-    }
-    if (!text && Array.isArray(data.output)) {
-      text = coerceToText(
-        data.output.map((entry) => {
-          if (Array.isArray(entry?.content)) {
-            return entry.content.map((part) => part?.text || '').join('');
-          }
-          return entry?.content?.text || '';
-        })
-      );
-    }
-    if (!text && Array.isArray(data.response)) {
-      text = coerceToText(data.response);
-    }
+  let answer = '';
+  let annotations = [];
+  const startedAt = Date.now();
+  const searchUsage = { inputTokens: 0, outputTokens: 0, searches: 0 };
+  const recordSearch = (status) => recordUsage({ route: '/openai/search', model: payload.model, status, latencyMs: Date.now() - startedAt, ...searchUsage });
 
-    return res.json({
-      text: text || '',
-      raw: data
+  try {
+    const openaiResponse = await requestUpstream('openai', {
+      method: 'post',
+      url: 'https://api.openai.com/v1/responses',
+      data: payload,
+      headers,
+      responseType: 'stream',
+      signal: req.signal
+    }, { timeoutMs: SEARCH_TIMEOUT_MS });
+
+    await readSseStream(openaiResponse.data, (data) => {
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (err) {
+        return;
+      }
+      if (event.type === 'response.output_text.delta' && event.delta) {
+        answer += event.delta;
+        startStream();
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: event.delta } }] })}\n\n`);
+      } else if (event.type === 'response.web_search_call.completed') {
+        searchUsage.searches++;
+      } else if (event.type === 'response.output_text.annotation.added') {
+        annotations.push(event.annotation);
+      } else if (event.type === 'response.completed') {
+        // The final response carries every annotation, so prefer it over what we saw mid-stream.
+        const finalAnnotations = (event.response?.output || [])
+          .flatMap((entry) => (Array.isArray(entry?.content) ? entry.content : []))
+          .flatMap((part) => (Array.isArray(part?.annotations) ? part.annotations : []));
+        if (finalAnnotations.length) annotations = finalAnnotations;
+        const usage = event.response?.usage;
+        searchUsage.inputTokens = usage?.input_tokens || 0;
+        searchUsage.outputTokens = usage?.output_tokens || 0;
+        searchUsage.searches = (event.response?.output || []).filter((entry) => entry?.type === 'web_search_call').length;
+      } else if (event.type === 'response.failed' || event.type === 'error') {
+        const error = new Error(event.response?.error?.message || event.message || 'Search failed upstream.');
+        error.details = event.response?.error || event;
+        throw error;
+      }
     });
+
+    startStream();
+    res.write(`data: ${JSON.stringify({ sources: buildSearchSources(annotations, answer) })}\n\n`);
+    res.write('data: [DONE]\n\n');
+    res.end();
+    recordSearch(200);
   } catch (error) {
-    const status = error.response?.status || 500;
-    const details = error.response?.data || error.message;
+    const status = getFailureStatus(error);
+    // Cut off before response.completed: estimate what was billed so far.
+    if (!searchUsage.inputTokens && (isCancelledError(error) || answer)) {
+      searchUsage.inputTokens = estimateTokens([payload.instructions, query]);
+      searchUsage.outputTokens = estimateTokens(answer);
+    }
+    recordSearch(status);
+    if (req.signal.aborted) {
+      console.log('Client disconnected, cancelled the OpenAI search request.');
+      return;
+    }
+    const details = error.details || await readErrorBody(error.response?.data) || error.message;
     console.error('Error during OpenAI search request:', details);
-    return res.status(status).json({
-      error: 'Failed to perform OpenAI search request',
-      details
-    });
+    if (!res.headersSent) {
+      return res.status(status).json({
+        error: 'Failed to perform OpenAI search request',
+        details
+      });
+    }
+    res.write(`data: ${JSON.stringify({ error: 'Failed to perform OpenAI search request', details })}\n\n`);
+    res.write('data: [DONE]\n\n');
+    res.end();
   }
 });
 
 // ElevenLabs Text-to-Speech Proxy Endpoint
-app.post('/elevenlabs-tts', async (req, res) => {
-    const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-    // Default voice ID for ElevenLabs. You can change this to any voice ID you prefer.
-    // Find voice IDs in your ElevenLabs dashboard or API documentation.
-    const ELEVENLABS_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || "21m00Tcm4TlvDq8ikWAM"; // Default to 'Rachel'
+// Optional body params: voiceId, stability (0-1), similarity (0-1).
+const TTS_MAX_TEXT_CHARS = 5000;
 
+app.post('/elevenlabs-tts', enforceBudget, enforceUsage('chats'), abortOnDisconnect, async (req, res) => {
+    const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
     if (!ELEVENLABS_API_KEY) {
         console.error('Error: ELEVENLABS_API_KEY environment variable not set on the server.');
         return res.status(500).json({ error: 'Server configuration error: ElevenLabs API key is missing.' });
     }
 
     const textToSpeak = req.body.text;
-
-    if (!textToSpeak) {
+    if (typeof textToSpeak !== 'string' || !textToSpeak.trim()) {
         return res.status(400).json({ error: 'No text provided for ElevenLabs TTS.' });
     }
+    if (textToSpeak.length > TTS_MAX_TEXT_CHARS) {
+        return res.status(400).json({ error: `Text is too long to speak (max ${TTS_MAX_TEXT_CHARS} characters).` });
+    }
+    const voiceSettings = resolveVoiceSettings(req.body);
+    if (voiceSettings.error) {
+        return res.status(400).json({ error: voiceSettings.error });
+    }
 
+    const startedAt = Date.now();
     try {
-        const elevenLabsResponse = await axios({
-            method: 'post',
-            url: `https://api.elevenlabs.io/v1/text-to-speech/${ELEVENLABS_VOICE_ID}`,
-            headers: {
-                'Accept': 'audio/mpeg', // Request MP3 audio
-                'Content-Type': 'application/json',
-                'xi-api-key': ELEVENLABS_API_KEY
-            },
-            data: {
-                text: textToSpeak,
-                model_id: "eleven_multilingual_v2",
-                voice_settings: {
-                    stability: 0.75,
-                    similarity_boost: 0.75
-                }
-            },
-            // CHANGE: Request as ArrayBuffer instead of stream and remove decompress
-            responseType: 'arraybuffer' // Get the full response as a binary buffer
-        });
-
-        // Set headers for audio playback
+        markUsageSpent(req);
+        const audio = await synthesizeSpeech(ELEVENLABS_API_KEY, textToSpeak, voiceSettings, { signal: req.signal });
+        recordUsage({ route: '/elevenlabs-tts', model: ELEVENLABS_MODEL_ID, latencyMs: Date.now() - startedAt, characters: String(textToSpeak).length });
         res.setHeader('Content-Type', 'audio/mpeg');
         res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+        res.end(audio);
+        console.log('ElevenLabs audio response sent to client successfully.');
+    } catch (error) {
+        const { status, details } = readElevenLabsError(error);
+        // A cancelled request may still have been synthesized (and billed) upstream.
+        recordUsage({
+            route: '/elevenlabs-tts',
+            model: ELEVENLABS_MODEL_ID,
+            status: getFailureStatus(error),
+            latencyMs: Date.now() - startedAt,
+            characters: isCancelledError(error) ? String(textToSpeak).length : 0
+        });
+        if (req.signal.aborted) {
+            console.log('Client disconnected, cancelled the ElevenLabs TTS request.');
+            return;
+        }
+        console.error('Error proxying ElevenLabs TTS request:', details);
+        res.status(status).json({ error: 'Failed to communicate with ElevenLabs API', details });
+    }
+});
 
-        // Send the entire audio buffer
-        res.end(elevenLabsResponse.data); // This sends the binary data and closes the response
+// Story narration: one MP3 per story line, each with word-level timestamps so the player can drive
+// captions from the audio clock. Line offsets (start/end) place each clip on the story timeline.
+const STORY_MAX_LINES = 60;
+const STORY_MAX_LINE_CHARS = 600;
+const STORY_MAX_CHARS = 6000;
+const STORY_TTS_CONCURRENCY = 3;
+// A rendered video usually follows playback of the same story, so keep recent narrations around
+// instead of paying ElevenLabs twice.
+const STORY_NARRATION_CACHE_MS = 30 * 60 * 1000;
+const STORY_NARRATION_CACHE_SIZE = 20;
+const storyNarrationCache = new Map();
+
+function splitStoryLines(text) {
+    return String(text || '').split(/\n+/).map(line => line.trim()).filter(Boolean);
+}
 
-        console.log('ElevenLabs audio response sent to client successfully.');
+// Validates the story fields shared by narration and rendering. Returns { lines, voiceSettings }
+// or { status, error }.
+function readStoryRequest(body) {
+    const lines = Array.isArray(body.lines)
+        ? body.lines.map(line => String(line || '').trim()).filter(Boolean)
+        : splitStoryLines(body.text);
+    if (!lines.length) {
+        return { status: 400, error: 'No story text provided.' };
+    }
+    if (lines.length > STORY_MAX_LINES
+        || lines.some(line => line.length > STORY_MAX_LINE_CHARS)
+        || lines.join('').length > STORY_MAX_CHARS) {
+        return { status: 413, error: 'Story is too long to narrate.' };
+    }
+    const voiceSettings = resolveVoiceSettings(body);
+    if (voiceSettings.error) {
+        return { status: 400, error: voiceSettings.error };
+    }
+    return { lines, voiceSettings };
+}
 
+// `route` is only used to label the ElevenLabs spend in the metrics. Aborting `signal` cancels the
+// lines still being synthesized and skips the rest.
+async function narrateStory(apiKey, lines, voiceSettings, { route, onLine = () => {}, signal }) {
+    const cacheKey = crypto.createHash('sha256').update(JSON.stringify({ lines, voiceSettings })).digest('hex');
+    const cached = storyNarrationCache.get(cacheKey);
+    if (cached && Date.now() - cached.createdAt < STORY_NARRATION_CACHE_MS) {
+        return cached.narration;
+    }
+
+    const clips = [];
+    const startedAt = Date.now();
+    try {
+        for (let i = 0; i < lines.length; i += STORY_TTS_CONCURRENCY) {
+            const batch = lines.slice(i, i + STORY_TTS_CONCURRENCY);
+            clips.push(...await Promise.all(batch.map(line => synthesizeWithTimestamps(apiKey, line, voiceSettings, { signal }))));
+            onLine(clips.length, lines.length);
+        }
     } catch (error) {
-        // Axios errors for non-streaming responses contain error.response.data
-        console.error('Error proxying ElevenLabs TTS request:', error.response?.data ? error.response.data.toString() : error.message);
-        if (!res.headersSent) {
-            // Check if error.response exists and has a data buffer
-            if (error.response && error.response.data) {
-                // Attempt to parse error message if it's JSON from ElevenLabs
-                try {
-                    const errorDetails = JSON.parse(error.response.data.toString('utf8'));
-                    res.status(error.response.status || 500).json({
-                        error: 'Failed to communicate with ElevenLabs API',
-                        details: errorDetails.detail || errorDetails.message || 'Unknown error'
-                    });
-                } catch (parseError) {
-                    // If not JSON, send raw error data
-                    res.status(error.response.status || 500).send(error.response.data);
-                }
-            } else {
-                res.status(error.response?.status || 500).json({
-                    error: 'Failed to communicate with ElevenLabs API',
-                    details: error.message
-                });
-            }
-        } else {
-            res.end();
+        // Lines that finished before the failure were still billed.
+        recordUsage({
+            route,
+            model: ELEVENLABS_MODEL_ID,
+            status: getFailureStatus(error),
+            latencyMs: Date.now() - startedAt,
+            characters: lines.slice(0, clips.length).join('').length
+        });
+        throw error;
+    }
+    recordUsage({ route, model: ELEVENLABS_MODEL_ID, latencyMs: Date.now() - startedAt, characters: lines.join('').length });
+
+    let offset = 0;
+    const narratedLines = clips.map((clip, index) => {
+        const start = offset;
+        offset += clip.duration;
+        return { text: lines[index], start, end: offset, ...clip };
+    });
+    const narration = {
+        voiceId: voiceSettings.voiceId,
+        stability: voiceSettings.stability,
+        similarity: voiceSettings.similarity,
+        duration: offset,
+        lines: narratedLines
+    };
+
+    storyNarrationCache.delete(cacheKey);
+    storyNarrationCache.set(cacheKey, { narration, createdAt: Date.now() });
+    if (storyNarrationCache.size > STORY_NARRATION_CACHE_SIZE) {
+        storyNarrationCache.delete(storyNarrationCache.keys().next().value);
+    }
+    return narration;
+}
+
+app.post('/story/narration', enforceBudget, enforceUsage('chats'), abortOnDisconnect, async (req, res) => {
+    const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
+    if (!ELEVENLABS_API_KEY) {
+        console.error('Error: ELEVENLABS_API_KEY environment variable not set on the server.');
+        return res.status(500).json({ error: 'Server configuration error: ElevenLabs API key is missing.' });
+    }
+    const story = readStoryRequest(req.body);
+    if (story.error) {
+        return res.status(story.status).json({ error: story.error });
+    }
+
+    markUsageSpent(req);
+    try {
+        res.json(await narrateStory(ELEVENLABS_API_KEY, story.lines, story.voiceSettings, { route: '/story/narration', signal: req.signal }));
+    } catch (error) {
+        if (req.signal.aborted) {
+            console.log('Client disconnected, cancelled the story narration.');
+            return;
         }
+        const { status, details } = readElevenLabsError(error);
+        console.error('Error generating story narration:', details);
+        res.status(status).json({ error: 'Failed to communicate with ElevenLabs API', details });
+    }
+});
+
+// Story video export. POST /story/render queues a job and returns its id; GET /story/render/:id
+// reports { status, stage, progress } and, once done, GET /story/render/:id/file serves the MP4.
+app.post('/story/render', enforceBudget, enforceUsage('chats'), (req, res) => {
+    const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
+    if (!ELEVENLABS_API_KEY) {
+        console.error('Error: ELEVENLABS_API_KEY environment variable not set on the server.');
+        return res.status(500).json({ error: 'Server configuration error: ElevenLabs API key is missing.' });
+    }
+    const story = readStoryRequest(req.body);
+    if (story.error) {
+        return res.status(story.status).json({ error: story.error });
+    }
+    const background = req.body.background || STORY_BACKGROUNDS[0];
+    if (!STORY_BACKGROUNDS.includes(background)) {
+        return res.status(400).json({ error: `background must be one of: ${STORY_BACKGROUNDS.join(', ')}.` });
+    }
+
+    const job = createRenderJob({
+        backgroundPath: path.join(__dirname, background),
+        narrate: (onLine) => narrateStory(ELEVENLABS_API_KEY, story.lines, story.voiceSettings, { route: '/story/render', onLine })
+    });
+    if (!job) {
+        return res.status(503).json({ error: 'Too many videos are rendering right now. Try again in a few minutes.' });
+    }
+    markUsageSpent(req);
+    res.status(202).json(describeRenderJob(job));
+});
+
+app.get('/story/render/:id', (req, res) => {
+    const job = getRenderJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Render job not found.' });
+    }
+    res.json(describeRenderJob(job));
+});
+
+app.get('/story/render/:id/file', (req, res) => {
+    const job = getRenderJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Render job not found.' });
+    }
+    if (job.status !== 'done') {
+        return res.status(409).json({ error: 'Video is not ready yet.', status: job.status });
     }
+    res.download(job.outputPath, 'graxybot_story_video.mp4');
 });
 
-async function evaluateAndOptimizeImagePrompt(prompt, apiKey) {
+async function evaluateAndOptimizeImagePrompt(prompt, apiKey, route, signal) {
     const moderationUrl = 'https://api.openai.com/v1/chat/completions';
     const headers = {
         'Content-Type': 'application/json',
@@ -300,7 +1040,27 @@ Respond with JSON only.`
         max_tokens: 300
     };
 
-    const moderationResponse = await axios.post(moderationUrl, payload, { headers });
+    const startedAt = Date.now();
+    let moderationResponse;
+    try {
+        moderationResponse = await requestUpstream('openai', { method: 'post', url: moderationUrl, data: payload, headers, signal }, { retries: 1 });
+    } catch (error) {
+        recordUsage({
+            route,
+            model: payload.model,
+            status: getFailureStatus(error),
+            latencyMs: Date.now() - startedAt,
+            inputTokens: isCancelledError(error) ? estimateTokens(payload.messages) : 0
+        });
+        throw error;
+    }
+    recordUsage({
+        route,
+        model: payload.model,
+        latencyMs: Date.now() - startedAt,
+        inputTokens: moderationResponse.data?.usage?.prompt_tokens,
+        outputTokens: moderationResponse.data?.usage?.completion_tokens
+    });
     const content = moderationResponse.data?.choices?.[0]?.message?.content;
     if (!content) {
         throw new Error('Invalid moderation response');
@@ -320,44 +1080,182 @@ Respond with JSON only.`
     return parsed;
 }
 
-function formatMessagesForGemini(messages = []) {
-    if (!Array.isArray(messages)) return { contents: [] };
-    let systemInstruction = null;
-    const contents = [];
+// Reference photos ("Me" mode) go to OpenAI's image edit endpoint, which only takes these formats.
+const REFERENCE_IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const REFERENCE_IMAGE_MAX_BYTES = 8 * 1024 * 1024;
 
-    messages.forEach((msg) => {
-        if (!msg || typeof msg !== 'object' || typeof msg.content !== 'string') {
-            return;
-        }
-        const text = msg.content.trim();
-        if (!text) return;
-
-        if (msg.role === 'system') {
-            if (!systemInstruction) {
-                systemInstruction = { parts: [{ text }] };
-            } else {
-                // append additional system text
-                systemInstruction.parts.push({ text });
+function sniffImageMimeType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+// Images attached to chat messages (OpenAI-style image_url parts holding data URLs).
+const CHAT_IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const CHAT_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const CHAT_MAX_IMAGES = 4;
+
+// Checks every image part in a chat request. Returns an error message, or null if they're all fine.
+function validateMessageImages(messages) {
+    let count = 0;
+    for (const msg of messages) {
+        if (!Array.isArray(msg?.content)) continue;
+        for (const part of msg.content) {
+            if (part?.type !== 'image_url') continue;
+            count += 1;
+            if (count > CHAT_MAX_IMAGES) {
+                return `Too many images (max ${CHAT_MAX_IMAGES} per request).`;
+            }
+            const image = parseDataUrl(part.image_url?.url);
+            if (!image) {
+                return 'Images must be sent inline as base64 data URLs.';
+            }
+            if (!CHAT_IMAGE_MIME_TYPES.includes(image.mimeType)) {
+                return `Images must be one of: ${CHAT_IMAGE_MIME_TYPES.join(', ')}.`;
+            }
+            const buffer = Buffer.from(image.data, 'base64');
+            if (buffer.length > CHAT_IMAGE_MAX_BYTES) {
+                return `Image is too large (max ${CHAT_IMAGE_MAX_BYTES / (1024 * 1024)}MB).`;
+            }
+            if (sniffImageMimeType(buffer) !== image.mimeType) {
+                return 'Image contents do not match its declared type.';
             }
-            return;
         }
+    }
+    return null;
+}
 
-        let role = 'user';
-        if (msg.role === 'assistant' || msg.role === 'model') {
-            role = 'model';
-        }
+// Decodes and validates { data, mimeType } from the client. Returns { buffer, mimeType } or { error }.
+function decodeReferenceImage(referenceImage) {
+    if (!referenceImage || typeof referenceImage !== 'object' || typeof referenceImage.data !== 'string') {
+        return { error: 'Reference image must include base64 data.' };
+    }
+    const declaredType = typeof referenceImage.mimeType === 'string' ? referenceImage.mimeType.toLowerCase() : '';
+    if (!REFERENCE_IMAGE_MIME_TYPES.includes(declaredType)) {
+        return { error: `Reference image must be one of: ${REFERENCE_IMAGE_MIME_TYPES.join(', ')}.` };
+    }
+    // Accept both raw base64 and a full data URL.
+    const base64 = referenceImage.data.replace(/^data:[^;]+;base64,/, '');
+    const buffer = Buffer.from(base64, 'base64');
+    if (buffer.length === 0) {
+        return { error: 'Reference image data is empty or not valid base64.' };
+    }
+    if (buffer.length > REFERENCE_IMAGE_MAX_BYTES) {
+        return { error: `Reference image is too large (max ${REFERENCE_IMAGE_MAX_BYTES / (1024 * 1024)}MB).` };
+    }
+    const actualType = sniffImageMimeType(buffer);
+    if (actualType !== declaredType) {
+        return { error: 'Reference image contents do not match its declared type.' };
+    }
+    return { buffer, mimeType: actualType };
+}
 
-        contents.push({
-            role,
-            parts: [{ text }]
-        });
+// Generations can take a while, and a retried POST may be billed twice, so allow one retry at most.
+const IMAGE_REQUEST_OPTIONS = { timeoutMs: 120000, retries: 1 };
+
+// Moderates and polishes the prompt, then calls OpenAI's image API. Resolves with { image, mimeType },
+// or { status, body } when the prompt is refused or OpenAI returns no image. Upstream errors throw.
+// `route` labels the spend in the metrics; aborting `signal` cancels the OpenAI calls.
+// `onSpend` runs once moderation has passed, right before the first paid call.
+async function createImage(apiKey, prompt, { referenceImage = null, model = 'gpt-image-1-mini', clientKey = null, route = '/gemini/image', signal, onSpend = () => {} } = {}) {
+    const verdict = await moderate('image', {
+        text: prompt,
+        images: referenceImage ? [`data:${referenceImage.mimeType};base64,${referenceImage.buffer.toString('base64')}`] : [],
+        clientKey
     });
+    if (!verdict.allowed) {
+        return { status: verdict.status, body: verdict.body };
+    }
 
-    return { contents, systemInstruction };
+    onSpend();
+    let finalPrompt = prompt;
+    try {
+        // The polisher still gets a say on safety, but its failing only costs us the nicer prompt.
+        const polished = await evaluateAndOptimizeImagePrompt(prompt, apiKey, route, signal);
+        if (polished.status !== 'safe') {
+            const message = polished.response || "whoa, let's keep it PG.";
+            return { status: 400, body: { error: 'unsafe_prompt', message } };
+        }
+        // The polisher strips first-person wording, which would lose "transform me into..." for edits.
+        if (!referenceImage) {
+            finalPrompt = polished.optimized_prompt || prompt;
+        }
+    } catch (polishErr) {
+        if (isCancelledError(polishErr)) throw polishErr;
+        console.warn('Prompt polishing failed, using the original prompt:', polishErr.message);
+    }
+
+    let openaiResponse;
+    const startedAt = Date.now();
+    try {
+        if (referenceImage) {
+            // Edits take multipart form data with the photo attached as a file.
+            const extension = referenceImage.mimeType.split('/')[1];
+            const form = new FormData();
+            form.append('model', model);
+            form.append('prompt', finalPrompt);
+            form.append('size', '1024x1024');
+            form.append('quality', 'low');
+            form.append('n', '1');
+            form.append('image', new Blob([referenceImage.buffer], { type: referenceImage.mimeType }), `reference.${extension}`);
+
+            openaiResponse = await requestUpstream('openai', {
+                method: 'post',
+                url: 'https://api.openai.com/v1/images/edits',
+                data: form,
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                signal
+            }, IMAGE_REQUEST_OPTIONS);
+        } else {
+            const payload = {
+                model: model,
+                prompt: finalPrompt,
+                size: '1024x1024',
+                quality: 'low', // requested low quality for faster/cheaper previews
+                n: 1
+            };
+
+            openaiResponse = await requestUpstream('openai', {
+                method: 'post',
+                url: 'https://api.openai.com/v1/images/generations',
+                data: payload,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                signal
+            }, IMAGE_REQUEST_OPTIONS);
+        }
+    } catch (error) {
+        // A cancelled generation may still finish (and be billed) upstream.
+        recordUsage({ route, model, status: getFailureStatus(error), latencyMs: Date.now() - startedAt, images: isCancelledError(error) ? 1 : 0 });
+        throw error;
+    }
+
+    const imageData = openaiResponse.data?.data?.[0]?.b64_json;
+    recordUsage({ route, model, status: imageData ? 200 : 502, latencyMs: Date.now() - startedAt, images: imageData ? 1 : 0 });
+    if (!imageData) {
+        console.error('OpenAI image response missing b64_json:', openaiResponse.data);
+        return {
+            status: 502,
+            body: { error: 'OpenAI did not return image data.', details: openaiResponse.data }
+        };
+    }
+
+    return {
+        image: imageData,
+        mimeType: 'image/png'
+    };
 }
 
 // Gemini Image Generation Proxy Endpoint (now backed by OpenAI image generation)
-app.post('/gemini/image', async (req, res) => {
+app.post('/gemini/image', enforceBudget, enforceUsage('images'), abortOnDisconnect, async (req, res) => {
     const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
     if (!OPENAI_API_KEY) {
         console.error('Error: OPENAI_API_KEY environment variable not set on the server.');
@@ -369,57 +1267,34 @@ app.post('/gemini/image', async (req, res) => {
         return res.status(400).json({ error: 'No prompt provided for image generation.' });
     }
 
-    try {
-        let finalPrompt = prompt;
-
-        try {
-            const moderationResult = await evaluateAndOptimizeImagePrompt(prompt, OPENAI_API_KEY);
-            if (moderationResult.status !== 'safe') {
-                const message = moderationResult.response || "whoa, let's keep it PG.";
-                return res.status(400).json({ error: 'unsafe_prompt', message });
-            }
-            finalPrompt = moderationResult.optimized_prompt || prompt;
-        } catch (modErr) {
-            console.warn('Prompt moderation failed, proceeding with original prompt:', modErr.message);
-        }
-
-        const model = req.body.model || 'gpt-image-1-mini';
-        const payload = {
-            model: model,
-            prompt: finalPrompt,
-            size: '1024x1024',
-            quality: 'low', // requested low quality for faster/cheaper previews
-            n: 1
-        };
-
-        const openaiResponse = await axios.post(
-            'https://api.openai.com/v1/images/generations',
-            payload,
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`
-                }
-            }
-        );
-
-        const imageData = openaiResponse.data?.data?.[0]?.b64_json;
-        if (!imageData) {
-            console.error('OpenAI image response missing b64_json:', openaiResponse.data);
-            return res.status(502).json({
-                error: 'OpenAI did not return image data.',
-                details: openaiResponse.data
-            });
+    let referenceImage = null;
+    if (req.body.referenceImage) {
+        referenceImage = decodeReferenceImage(req.body.referenceImage);
+        if (referenceImage.error) {
+            return res.status(400).json({ error: 'invalid_reference_image', message: referenceImage.error });
         }
+    }
 
-        return res.json({
-            image: imageData,
-            mimeType: 'image/png'
+    try {
+        const result = await createImage(OPENAI_API_KEY, prompt, {
+            referenceImage,
+            model: req.body.model || undefined,
+            clientKey: req.clientKey,
+            signal: req.signal,
+            onSpend: () => markUsageSpent(req)
         });
+        if (result.body) {
+            return res.status(result.status).json(result.body);
+        }
+        return res.json(result);
     } catch (error) {
+        if (req.signal.aborted) {
+            console.log('Client disconnected, cancelled the OpenAI image request.');
+            return;
+        }
         const details = error.response?.data || error.message;
         console.error('Error proxying OpenAI image request:', details);
-        const status = error.response?.status || 500;
+        const status = error.response?.status || error.status || 500;
         return res.status(status).json({
             error: 'Failed to communicate with OpenAI image API',
             details
@@ -427,87 +1302,699 @@ app.post('/gemini/image', async (req, res) => {
     }
 });
 
-// Gemini Chat Proxy Endpoint (nano banana)
-app.post('/gemini/chat', async (req, res) => {
-    if (!GEMINI_API_KEY) {
-        console.error('Error: GEMINI_API_KEY environment variable not set on the server.');
-        return res.status(500).json({ error: 'Server configuration error: Gemini API key is missing.' });
-    }
+// --- Chat persistence & sync ---
+// Chats are stored per anonymous device token (sent as X-Device-Token). Messages carry an id and
+// updatedAt; when two devices disagree, the newer copy of each message wins. Deleted chats keep a
+// tombstone so other devices drop them on their next sync instead of re-uploading them.
+
+function hashDeviceToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-    const { messages } = req.body || {};
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-        return res.status(400).json({ error: 'No messages provided for Gemini chat.' });
+// Identifies the device. A token the server hasn't seen gets an empty, unsaved set of chats; only
+// registerDevice stores it.
+function requireDeviceToken(req, res, next) {
+    const token = req.get('X-Device-Token');
+    if (!token || !DEVICE_TOKEN_PATTERN.test(token)) {
+        return res.status(401).json({ error: 'A valid X-Device-Token header is required.' });
     }
+    req.deviceKey = hashDeviceToken(token);
+    req.deviceChats = chatStore.data.devices[req.deviceKey]?.chats || {};
+    next();
+}
 
-    const { contents, systemInstruction } = formatMessagesForGemini(messages);
-    if (contents.length === 0) {
-        return res.status(400).json({ error: 'No valid messages to send to Gemini.' });
+// For routes that store something (chats, design projects, shares): saves the device record the first
+// time, counting it against the caller's IP.
+function registerDevice(req, res, next) {
+    if (chatStore.data.devices[req.deviceKey]) {
+        return next();
     }
+    const cutoff = Date.now() - NEW_DEVICE_WINDOW_MS;
+    const times = (newDevicesByIp.get(req.ip) || []).filter((time) => time > cutoff);
+    if (times.length >= NEW_DEVICES_PER_IP) {
+        return res.status(429).json({ error: 'too_many_devices', message: 'Too many new devices from this network today. Try again tomorrow.' });
+    }
+    times.push(Date.now());
+    newDevicesByIp.set(req.ip, times);
+    chatStore.data.devices[req.deviceKey] = { chats: req.deviceChats };
+    chatStore.save();
+    next();
+}
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
-    const payload = {
-        contents
+// Refuses new data once `store` is past STORE_MAX_BYTES, and counts this body against it. Deletes
+// don't go through this, so space can always be freed.
+function requireStoreSpace(store) {
+    return (req, res, next) => {
+        if (store.size >= STORE_MAX_BYTES) {
+            return res.status(507).json({ error: 'storage_full', message: "The server is out of room for saved data right now. Try again later." });
+        }
+        store.reserve(Number(req.get('Content-Length')) || 0);
+        next();
+    };
+}
+
+function toTime(value) {
+    const time = Date.parse(value);
+    return Number.isFinite(time) ? time : 0;
+}
+
+// Returns a storable copy of a client message, or null if it can't be synced.
+function normalizeSyncedMessage(msg) {
+    if (!msg || typeof msg !== 'object' || typeof msg.id !== 'string' || !msg.id) return null;
+    if (!Array.isArray(msg.parts)) return null;
+    const timestamp = toTime(msg.timestamp) || Date.now();
+    const updatedAt = toTime(msg.updatedAt) || timestamp;
+    return {
+        ...msg,
+        timestamp: new Date(timestamp).toISOString(),
+        updatedAt: new Date(updatedAt).toISOString()
     };
-    if (systemInstruction) {
-        payload.systemInstruction = systemInstruction;
+}
+
+// Last-write-wins per message id; the result stays ordered by when each message was created.
+function mergeMessages(existing = [], incoming = []) {
+    const byId = new Map(existing.map((msg) => [msg.id, msg]));
+    incoming.forEach((msg) => {
+        const current = byId.get(msg.id);
+        if (!current || toTime(msg.updatedAt) >= toTime(current.updatedAt)) {
+            byId.set(msg.id, msg);
+        }
+    });
+    return Array.from(byId.values()).sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp));
+}
+
+// Applies a client's copy of a chat (title, timestamps, messages) onto the stored one.
+function upsertSyncedChat(chats, id, body = {}) {
+    const incomingUpdatedAt = toTime(body.updatedAt);
+    const incomingMessages = (Array.isArray(body.messages) ? body.messages : [])
+        .map(normalizeSyncedMessage)
+        .filter(Boolean);
+    let chat = chats[id];
+
+    if (!chat) {
+        chat = {
+            id,
+            title: 'New Chat',
+            createdAt: new Date(toTime(body.createdAt) || Date.now()).toISOString(),
+            updatedAt: new Date(0).toISOString(),
+            deletedAt: null,
+            messages: []
+        };
+        chats[id] = chat;
     }
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+    if (chat.deletedAt) {
+        // A delete only loses to edits made after it.
+        const newestIncoming = Math.max(incomingUpdatedAt, ...incomingMessages.map((msg) => toTime(msg.updatedAt)));
+        if (newestIncoming <= toTime(chat.deletedAt)) {
+            return chat;
+        }
+        chat.deletedAt = null;
+    }
 
-    try {
-        const geminiResponse = await axios.post(url, payload);
-        const candidates = geminiResponse.data?.candidates || [];
-        const primaryCandidate = candidates[0];
-        const parts = primaryCandidate?.content?.parts || [];
-        const text = parts
-            .map((part) => {
-                if (typeof part.text === 'string') return part.text;
-                return '';
-            })
-            .join('');
-
-        const eventPayload = {
-            choices: [
-                {
-                    delta: {
-                        content: text
-                    }
-                }
-            ]
+    const titleUpdatedAt = incomingUpdatedAt || Date.now();
+    if (titleUpdatedAt >= toTime(chat.updatedAt)) {
+        if (typeof body.title === 'string' && body.title.trim()) {
+            chat.title = body.title.trim().slice(0, 200);
+        }
+        // The chat's persona id (see /prompts/personas); only checked when a request uses it.
+        if (typeof body.persona === 'string' && body.persona.length <= 60) {
+            chat.persona = body.persona;
+        }
+        // Messages form a tree through `parentId` (edits and regenerations are siblings); this is the
+        // last message of the branch the client shows.
+        if (typeof body.activeLeafId === 'string' && body.activeLeafId.length <= 100) {
+            chat.activeLeafId = body.activeLeafId;
+        }
+        chat.updatedAt = new Date(titleUpdatedAt).toISOString();
+    }
+    // The client's running summary of older turns (see buildModelContext); the newest one wins.
+    const summary = body.contextSummary;
+    if (summary && typeof summary.text === 'string' && typeof summary.throughMessageId === 'string'
+        && toTime(summary.updatedAt) > toTime(chat.contextSummary?.updatedAt)) {
+        chat.contextSummary = {
+            text: summary.text.slice(0, 20000),
+            throughMessageId: summary.throughMessageId,
+            updatedAt: new Date(toTime(summary.updatedAt)).toISOString()
         };
-        res.write(`data: ${JSON.stringify(eventPayload)}\n\n`);
-        res.write('data: [DONE]\n\n');
-        res.end();
-    } catch (error) {
-        const status = error.response?.status || 500;
-        const details = error.response?.data || error.message;
-        console.error('Error proxying Gemini chat request:', details);
-        if (!res.headersSent) {
-            res.status(status).json({
-                error: 'Failed to communicate with Gemini chat API',
-                details
-            });
-        } else {
-            res.write(
-                `data: ${JSON.stringify({
-                    error: 'Failed to communicate with Gemini chat API',
-                    details
-                })}\n\n`
-            );
-            res.write('data: [DONE]\n\n');
-            res.end();
+    }
+    chat.messages = mergeMessages(chat.messages, incomingMessages);
+    const newestMessage = chat.messages[chat.messages.length - 1];
+    if (newestMessage && toTime(newestMessage.updatedAt) > toTime(chat.updatedAt)) {
+        chat.updatedAt = newestMessage.updatedAt;
+    }
+    return chat;
+}
+
+function tombstoneChat(chat) {
+    chat.deletedAt = new Date().toISOString();
+    chat.updatedAt = chat.deletedAt;
+    chat.messages = [];
+}
+
+function validateChatId(req, res, next) {
+    if (!CHAT_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid chat id.' });
+    }
+    next();
+}
+
+// All chats for this device, including tombstones. `?since=` limits it to chats changed after that time.
+app.get('/chats', requireDeviceToken, (req, res) => {
+    const since = toTime(req.query.since);
+    const chats = Object.values(req.deviceChats).filter((chat) => toTime(chat.updatedAt) > since);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ chats, serverTime: new Date().toISOString() });
+});
+
+app.post('/chats', requireDeviceToken, requireStoreSpace(chatStore), registerDevice, (req, res) => {
+    const id = typeof req.body.id === 'string' ? req.body.id : `chat_${Date.now()}`;
+    if (!CHAT_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid chat id.' });
+    }
+    if (req.deviceChats[id] && !req.deviceChats[id].deletedAt) {
+        return res.status(409).json({ error: 'A chat with that id already exists.' });
+    }
+    if (!req.deviceChats[id] && Object.keys(req.deviceChats).length >= MAX_SYNCED_CHATS_PER_DEVICE) {
+        return res.status(413).json({ error: 'Too many synced chats for this device.' });
+    }
+    const chat = upsertSyncedChat(req.deviceChats, id, req.body);
+    chatStore.save();
+    res.status(201).json(chat);
+});
+
+// Wipes every chat for this device (used by "Wipe All Data").
+app.delete('/chats', requireDeviceToken, (req, res) => {
+    Object.values(req.deviceChats).forEach(tombstoneChat);
+    chatStore.save();
+    res.status(204).end();
+});
+
+app.get('/chats/:id', requireDeviceToken, validateChatId, (req, res) => {
+    const chat = req.deviceChats[req.params.id];
+    if (!chat || chat.deletedAt) {
+        return res.status(404).json({ error: 'Chat not found.' });
+    }
+    res.json(chat);
+});
+
+app.put('/chats/:id', requireDeviceToken, validateChatId, requireStoreSpace(chatStore), registerDevice, (req, res) => {
+    if (!req.deviceChats[req.params.id] && Object.keys(req.deviceChats).length >= MAX_SYNCED_CHATS_PER_DEVICE) {
+        return res.status(413).json({ error: 'Too many synced chats for this device.' });
+    }
+    const chat = upsertSyncedChat(req.deviceChats, req.params.id, req.body);
+    chatStore.save();
+    res.json(chat);
+});
+
+app.delete('/chats/:id', requireDeviceToken, validateChatId, (req, res) => {
+    const chat = req.deviceChats[req.params.id];
+    if (chat && !chat.deletedAt) {
+        tombstoneChat(chat);
+        chatStore.save();
+    }
+    res.status(204).end();
+});
+
+app.get('/chats/:id/messages', requireDeviceToken, validateChatId, (req, res) => {
+    const chat = req.deviceChats[req.params.id];
+    if (!chat || chat.deletedAt) {
+        return res.status(404).json({ error: 'Chat not found.' });
+    }
+    res.json({ messages: chat.messages });
+});
+
+// Adds or updates messages in a chat, creating the chat if this is the first sync for it.
+app.post('/chats/:id/messages', requireDeviceToken, validateChatId, requireStoreSpace(chatStore), registerDevice, (req, res) => {
+    const messages = Array.isArray(req.body.messages) ? req.body.messages : [req.body.message];
+    if (!messages.some(normalizeSyncedMessage)) {
+        return res.status(400).json({ error: 'No valid messages provided.' });
+    }
+    if (!req.deviceChats[req.params.id] && Object.keys(req.deviceChats).length >= MAX_SYNCED_CHATS_PER_DEVICE) {
+        return res.status(413).json({ error: 'Too many synced chats for this device.' });
+    }
+    const chat = upsertSyncedChat(req.deviceChats, req.params.id, { ...req.body, messages });
+    chatStore.save();
+    if (chat.deletedAt) {
+        return res.status(410).json({ error: 'Chat was deleted on another device.', deletedAt: chat.deletedAt });
+    }
+    res.json({ messages: chat.messages, updatedAt: chat.updatedAt });
+});
+
+// --- Web design projects ---
+// Every web design session is a project owned by the device token that started it. Version 1 is the
+// first generated page; each follow-up adds a version, either as targeted { search, replace } edits
+// applied to the latest one or as a full page. /preview/:projectId/:version hosts any version.
+const DESIGN_PROJECT_ID_PATTERN = /^[a-f0-9]{24}$/;
+const DESIGN_MAX_HTML_CHARS = 300000;
+const DESIGN_MAX_PROMPT_CHARS = 4000;
+const DESIGN_MAX_EDITS = 40;
+const DESIGN_MAX_VERSIONS = 50;
+const DESIGN_MAX_PROJECTS_PER_DEVICE = 200;
+
+function describeDesignVersion(project, entry) {
+    return {
+        version: entry.version,
+        kind: entry.kind,
+        prompt: entry.prompt,
+        createdAt: entry.createdAt,
+        lines: entry.html.split(/\r\n|\r|\n/).length,
+        previewUrl: `/preview/${project.id}/${entry.version}`
+    };
+}
+
+function describeDesignProject(project) {
+    return {
+        id: project.id,
+        title: project.title,
+        chatId: project.chatId,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt,
+        latestVersion: project.versions.length,
+        versions: project.versions.map((entry) => describeDesignVersion(project, entry))
+    };
+}
+
+// Versions are numbered from 1 and never removed, so version N lives at index N - 1.
+function findDesignVersion(project, value) {
+    if (value === 'latest') return project.versions[project.versions.length - 1] || null;
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 1) return null;
+    return project.versions[version - 1] || null;
+}
+
+function readDesignPrompt(value) {
+    return typeof value === 'string' ? value.trim().slice(0, DESIGN_MAX_PROMPT_CHARS) : '';
+}
+
+// Returns an error message for an unusable page, or null.
+function validateDesignHtml(html) {
+    if (typeof html !== 'string' || !html.trim()) return 'html must be a non-empty string.';
+    if (html.length > DESIGN_MAX_HTML_CHARS) return `html is too large (max ${DESIGN_MAX_HTML_CHARS} characters).`;
+    return null;
+}
+
+function loadDesignProject(req, res, next) {
+    const project = DESIGN_PROJECT_ID_PATTERN.test(req.params.projectId)
+        ? designStore.data.projects[req.params.projectId]
+        : null;
+    if (!project || project.owner !== req.deviceKey) {
+        return res.status(404).json({ error: 'Design project not found.' });
+    }
+    req.designProject = project;
+    next();
+}
+
+app.get('/design/projects', requireDeviceToken, (req, res) => {
+    const projects = Object.values(designStore.data.projects)
+        .filter((project) => project.owner === req.deviceKey)
+        .sort((a, b) => toTime(b.updatedAt) - toTime(a.updatedAt))
+        .map(describeDesignProject);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ projects });
+});
+
+// Starts a project from a freshly generated page: { prompt, html, title?, chatId? }.
+app.post('/design/projects', requireDeviceToken, requireStoreSpace(designStore), registerDevice, (req, res) => {
+    const htmlError = validateDesignHtml(req.body.html);
+    if (htmlError) {
+        return res.status(400).json({ error: htmlError });
+    }
+    const owned = Object.values(designStore.data.projects).filter((project) => project.owner === req.deviceKey);
+    if (owned.length >= DESIGN_MAX_PROJECTS_PER_DEVICE) {
+        return res.status(413).json({ error: 'Too many design projects for this device.' });
+    }
+    const prompt = readDesignPrompt(req.body.prompt);
+    const title = typeof req.body.title === 'string' && req.body.title.trim()
+        ? req.body.title.trim().slice(0, 200)
+        : (prompt.slice(0, 60) || 'Untitled site');
+    const now = new Date().toISOString();
+    const project = {
+        id: crypto.randomBytes(12).toString('hex'),
+        owner: req.deviceKey,
+        title,
+        chatId: typeof req.body.chatId === 'string' && CHAT_ID_PATTERN.test(req.body.chatId) ? req.body.chatId : null,
+        createdAt: now,
+        updatedAt: now,
+        versions: [{ version: 1, kind: 'generate', prompt, html: req.body.html, createdAt: now }]
+    };
+    designStore.data.projects[project.id] = project;
+    designStore.save();
+    res.status(201).json(describeDesignProject(project));
+});
+
+app.get('/design/projects/:projectId', requireDeviceToken, loadDesignProject, (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(describeDesignProject(req.designProject));
+});
+
+app.delete('/design/projects/:projectId', requireDeviceToken, loadDesignProject, (req, res) => {
+    delete designStore.data.projects[req.designProject.id];
+    designStore.save();
+    res.json({ ok: true });
+});
+
+// One version with its HTML. `:version` is a number or "latest".
+app.get('/design/projects/:projectId/versions/:version', requireDeviceToken, loadDesignProject, (req, res) => {
+    const entry = findDesignVersion(req.designProject, req.params.version);
+    if (!entry) {
+        return res.status(404).json({ error: 'Version not found.' });
+    }
+    res.json({ ...describeDesignVersion(req.designProject, entry), html: entry.html });
+});
+
+// Adds a version on top of the latest one. Body: { prompt, baseVersion?, edits: [{ search, replace }] }
+// for targeted edits, or { prompt, html } for a full rewrite. Edits are all-or-nothing: if one doesn't
+// match, nothing is saved and the 422 says which edit failed so the client can fall back to a rewrite.
+app.post('/design/projects/:projectId/versions', requireDeviceToken, loadDesignProject, requireStoreSpace(designStore), (req, res) => {
+    const project = req.designProject;
+    const latest = project.versions[project.versions.length - 1];
+    if (project.versions.length >= DESIGN_MAX_VERSIONS) {
+        return res.status(413).json({ error: `Projects are limited to ${DESIGN_MAX_VERSIONS} versions. Start a new design to keep going.` });
+    }
+    if (req.body.baseVersion !== undefined && Number(req.body.baseVersion) !== latest.version) {
+        return res.status(409).json({ error: 'stale_version', message: 'A newer version exists.', latestVersion: latest.version });
+    }
+
+    let html;
+    let kind;
+    if (Array.isArray(req.body.edits)) {
+        if (req.body.edits.length === 0 || req.body.edits.length > DESIGN_MAX_EDITS) {
+            return res.status(400).json({ error: `edits must contain between 1 and ${DESIGN_MAX_EDITS} changes.` });
+        }
+        const result = applyHtmlEdits(latest.html, req.body.edits);
+        if (result.error) {
+            return res.status(422).json({ error: 'edit_failed', message: result.error, editIndex: result.editIndex });
+        }
+        html = result.html;
+        kind = 'edit';
+    } else {
+        html = req.body.html;
+        kind = 'rewrite';
+    }
+    const htmlError = validateDesignHtml(html);
+    if (htmlError) {
+        return res.status(400).json({ error: htmlError });
+    }
+
+    const entry = {
+        version: latest.version + 1,
+        kind,
+        prompt: readDesignPrompt(req.body.prompt),
+        html,
+        createdAt: new Date().toISOString()
+    };
+    project.versions.push(entry);
+    project.updatedAt = entry.createdAt;
+    designStore.save();
+    res.status(201).json({ ...describeDesignVersion(project, entry), html });
+});
+
+// Line diff between two versions (default: the one before `to`, and the latest).
+app.get('/design/projects/:projectId/diff', requireDeviceToken, loadDesignProject, (req, res) => {
+    const project = req.designProject;
+    const to = findDesignVersion(project, req.query.to || 'latest');
+    const from = findDesignVersion(project, req.query.from || (to ? to.version - 1 : 0));
+    if (!from || !to) {
+        return res.status(404).json({ error: 'Version not found.' });
+    }
+    res.json({
+        from: describeDesignVersion(project, from),
+        to: describeDesignVersion(project, to),
+        ...diffHtml(from.html, to.html)
+    });
+});
+
+// Hosted preview. Project ids are unguessable, so the link itself is the credential (it has to open
+// in a plain tab or iframe, which can't send X-Device-Token). The page runs sandboxed; see PREVIEW_CSP.
+app.get('/preview/:projectId/:version', (req, res) => {
+    const project = DESIGN_PROJECT_ID_PATTERN.test(req.params.projectId)
+        ? designStore.data.projects[req.params.projectId]
+        : null;
+    const entry = project ? findDesignVersion(project, req.params.version) : null;
+    if (!entry) {
+        return res.status(404).send('404 - Not Found');
+    }
+    res.setHeader('Content-Security-Policy', PREVIEW_CSP);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.type('html').send(entry.html);
+});
+
+// --- Shared conversations ---
+// POST /share stores a snapshot of a chat's history under a short random id; /s/:shareId opens the
+// app in read-only mode on it. The snapshot never changes afterwards. Like previews, the id itself is
+// the credential for reading; only the device that created a share can list or delete it.
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{10}$/;
+const SHARE_MAX_MESSAGES = 500;
+const SHARE_MAX_BYTES = 12 * 1024 * 1024;
+const SHARE_MAX_PER_DEVICE = 200;
+const SHARE_MAX_EXPIRY_DAYS = 365;
+const SHARED_IMAGE_SOURCE_PATTERN = /^(data:image\/[a-z0-9.+-]+;base64,|https:\/\/)/i;
+
+function isShareExpired(share) {
+    return Boolean(share.expiresAt) && toTime(share.expiresAt) <= Date.now();
+}
+
+function pruneExpiredShares() {
+    let removed = false;
+    Object.values(shareStore.data.shares).forEach((share) => {
+        if (isShareExpired(share)) {
+            delete shareStore.data.shares[share.id];
+            removed = true;
         }
+    });
+    if (removed) shareStore.save();
+}
+
+function findShare(shareId) {
+    const share = SHARE_ID_PATTERN.test(shareId) ? shareStore.data.shares[shareId] : null;
+    return share && !isShareExpired(share) ? share : null;
+}
+
+function describeShare(share) {
+    return {
+        id: share.id,
+        url: `/s/${share.id}`,
+        title: share.title,
+        chatId: share.chatId,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        messageCount: share.messages.length
+    };
+}
+
+// Copies the parts of a stored message the read-only page renders (text, attached and generated images,
+// code, sites, search sources, math), or null if it isn't a message. Design project ids are dropped:
+// they'd give readers every version of the project, and the snapshot already carries the shared page.
+function snapshotSharedMessage(msg) {
+    if (!msg || typeof msg !== 'object' || !Array.isArray(msg.parts)) return null;
+    const parts = msg.parts
+        .map((part) => {
+            if (typeof part?.text === 'string') return { text: part.text };
+            if (typeof part?.image?.data === 'string' && typeof part.image.mimeType === 'string') {
+                return { image: { mimeType: part.image.mimeType, data: part.image.data } };
+            }
+            return null;
+        })
+        .filter(Boolean);
+    const snapshot = {
+        role: msg.role === 'user' ? 'user' : 'model',
+        parts,
+        timestamp: new Date(toTime(msg.timestamp) || Date.now()).toISOString()
+    };
+    if (SHARED_IMAGE_SOURCE_PATTERN.test(msg.imagePreview || '')) {
+        snapshot.imagePreview = msg.imagePreview;
+    }
+    if (SHARED_IMAGE_SOURCE_PATTERN.test(msg.generatedMediaSrc || '')) {
+        snapshot.generatedMediaSrc = msg.generatedMediaSrc;
+        snapshot.mediaPrompt = typeof msg.mediaPrompt === 'string' ? msg.mediaPrompt : null;
+    }
+    if (msg.extraData && typeof msg.extraData === 'object' && !Array.isArray(msg.extraData)) {
+        const { projectId, ...extraData } = msg.extraData;
+        snapshot.extraData = extraData;
+    }
+    return snapshot;
+}
+
+// Shares created by this device. `?chatId=` narrows it to the links for one chat.
+app.get('/share', requireDeviceToken, (req, res) => {
+    pruneExpiredShares();
+    const shares = Object.values(shareStore.data.shares)
+        .filter((share) => share.owner === req.deviceKey && (!req.query.chatId || share.chatId === req.query.chatId))
+        .sort((a, b) => toTime(b.createdAt) - toTime(a.createdAt))
+        .map(describeShare);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ shares });
+});
+
+// Body: { title, messages, chatId?, expiresInDays? }. Without expiresInDays the link never expires.
+app.post('/share', requireDeviceToken, requireStoreSpace(shareStore), registerDevice, (req, res) => {
+    const messages = (Array.isArray(req.body.messages) ? req.body.messages : [])
+        .map(snapshotSharedMessage)
+        .filter(Boolean);
+    if (messages.length === 0) {
+        return res.status(400).json({ error: 'There are no messages to share.' });
+    }
+    if (messages.length > SHARE_MAX_MESSAGES) {
+        return res.status(413).json({ error: `Shared chats are limited to ${SHARE_MAX_MESSAGES} messages.` });
+    }
+    if (Buffer.byteLength(JSON.stringify(messages)) > SHARE_MAX_BYTES) {
+        return res.status(413).json({ error: 'This chat is too large to share.' });
+    }
+    const expiresInDays = req.body.expiresInDays;
+    const hasExpiry = expiresInDays !== undefined && expiresInDays !== null;
+    if (hasExpiry && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_MAX_EXPIRY_DAYS)) {
+        return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${SHARE_MAX_EXPIRY_DAYS}.` });
+    }
+    pruneExpiredShares();
+    const owned = Object.values(shareStore.data.shares).filter((share) => share.owner === req.deviceKey);
+    if (owned.length >= SHARE_MAX_PER_DEVICE) {
+        return res.status(413).json({ error: 'Too many shared chats for this device. Delete an old link first.' });
+    }
+
+    let id;
+    do {
+        id = crypto.randomBytes(8).toString('base64url').slice(0, 10);
+    } while (shareStore.data.shares[id]);
+    const now = Date.now();
+    const share = {
+        id,
+        owner: req.deviceKey,
+        chatId: typeof req.body.chatId === 'string' && CHAT_ID_PATTERN.test(req.body.chatId) ? req.body.chatId : null,
+        title: typeof req.body.title === 'string' && req.body.title.trim() ? req.body.title.trim().slice(0, 200) : 'Shared chat',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: hasExpiry ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+        messages
+    };
+    shareStore.data.shares[id] = share;
+    shareStore.save();
+    res.status(201).json(describeShare(share));
+});
+
+// The snapshot itself, for the read-only page and "import into my chats". No device token needed.
+app.get('/share/:shareId', (req, res) => {
+    const share = findShare(req.params.shareId);
+    if (!share) {
+        return res.status(404).json({ error: 'This shared chat was deleted or has expired.' });
     }
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ...describeShare(share), messages: share.messages });
 });
 
+app.delete('/share/:shareId', requireDeviceToken, (req, res) => {
+    const share = SHARE_ID_PATTERN.test(req.params.shareId) ? shareStore.data.shares[req.params.shareId] : null;
+    if (!share || share.owner !== req.deviceKey) {
+        return res.status(404).json({ error: 'Shared chat not found.' });
+    }
+    delete shareStore.data.shares[share.id];
+    shareStore.save();
+    res.status(204).end();
+});
+
+// The app page; it notices the /s/ path and renders the snapshot read-only.
+app.get('/s/:shareId', (req, res, next) => {
+    if (!findShare(req.params.shareId)) {
+        return res.status(404).send('404 - Not Found');
+    }
+    publicFiles.send(res, 'graxybot.html', next);
+});
+
+// A web design from the snapshot, hosted like /preview. `:index` is the message's position in the share.
+app.get('/s/:shareId/site/:index', (req, res) => {
+    const share = findShare(req.params.shareId);
+    const html = share?.messages[Number(req.params.index)]?.extraData?.html;
+    if (typeof html !== 'string') {
+        return res.status(404).send('404 - Not Found');
+    }
+    res.setHeader('Content-Security-Policy', PREVIEW_CSP);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.type('html').send(html);
+});
+
+// --- Admin ---
+// Operator-only endpoints, authenticated with `Authorization: Bearer <ADMIN_TOKEN>`. Without
+// ADMIN_TOKEN set they don't exist at all.
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(404).send('404 - Not Found');
+    }
+    const provided = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    // Compare digests so the check takes the same time whatever the token length.
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(provided), digest(adminToken))) {
+        return res.status(401).json({ error: 'unauthorized', message: 'A valid admin token is required.' });
+    }
+    next();
+}
+
+// Spend and usage aggregates by route, model and day. ?days=N (default 7, up to the retention window).
+app.get('/admin/metrics', requireAdmin, (req, res) => {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > METRICS_RETENTION_DAYS) {
+        return res.status(400).json({ error: `days must be a whole number from 1 to ${METRICS_RETENTION_DAYS}.` });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ...getMetricsSummary(days), upstreams: getUpstreamStatus() });
+});
+
+// Prompt templates (see lib/prompts.js). Every change is a new version; rollback re-activates an old one.
+app.get('/admin/prompts', requireAdmin, (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ templates: listTemplates() });
+});
+
+app.get('/admin/prompts/:name', requireAdmin, (req, res) => {
+    const template = getTemplate(req.params.name);
+    if (!template) {
+        return res.status(404).json({ error: 'Template not found.' });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(template);
+});
+
+// Body: { text, note?, label?, description? }. Creates the template if it's new (e.g. "persona:pirate").
+app.post('/admin/prompts/:name', requireAdmin, (req, res) => {
+    const result = addTemplateVersion(req.params.name, req.body || {});
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json(result);
+});
+
+// Body: { version }.
+app.post('/admin/prompts/:name/rollback', requireAdmin, (req, res) => {
+    const version = req.body?.version;
+    if (!Number.isInteger(version)) {
+        return res.status(400).json({ error: 'version must be a version number.' });
+    }
+    const result = activateTemplateVersion(req.params.name, version);
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+});
 
 // 404 handler for any other requests that don't match defined routes
 app.use((req, res) => {
   res.status(404).send('404 - Not Found');
 });
 
+// Body parser failures (oversized or malformed JSON) come back as JSON like every other API error.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'payload_too_large', message: `Request body is larger than the ${err.limit} byte limit for this route.` });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'invalid_json', message: 'Request body is not valid JSON.' });
+  }
+  next(err);
+});
+
 // Start the Express server on the specified port
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifySolution } = require('../lib/mathEval');
+
+function stepStatuses(solution) {
+    return verifySolution(solution).steps.map(step => step.status);
+}
+
+test('steps of an equation are not flagged when the answer has no solutions', () => {
+    const statuses = stepStatuses({
+        problem: '2x + 3 = 7',
+        steps: [{ math: '2x + 3 - 3 = 7 - 3' }, { math: '2x = 4' }, { math: 'x = 2' }],
+        answer: { math: 'x = 2' }
+    });
+    assert.deepEqual(statuses, ['unchecked', 'unchecked', 'unchecked']);
+});
+
+test('steps are substituted with the claimed solutions', () => {
+    const result = verifySolution({
+        problem: '2x + 3 = 7',
+        steps: [{ math: '2x = 4' }, { math: '2x = 5' }],
+        answer: { math: 'x = 2', solutions: [{ x: '2' }] }
+    });
+    assert.deepEqual(result.steps.map(step => step.status), ['verified', 'flagged']);
+    assert.equal(result.answer.status, 'verified');
+});
+
+test('identities are verified and wrong arithmetic is flagged', () => {
+    const statuses = stepStatuses({
+        steps: [{ math: '(x + 1)^2 = x^2 + 2x + 1' }, { math: '3 + 4 = 8' }, { math: '3 + 4 = 7' }]
+    });
+    assert.deepEqual(statuses, ['verified', 'flagged', 'verified']);
+});
+
+test('simplification steps are compared with the previous step', () => {
+    const statuses = stepStatuses({
+        problem: '(x + 1)^2 - 1',
+        steps: [{ math: 'x^2 + 2x + 1 - 1' }, { math: 'x^2 + 2x' }, { math: 'x^2 + x' }]
+    });
+    assert.deepEqual(statuses, ['verified', 'verified', 'flagged']);
+});
+
+test('object prototype names are read as variables, not functions', () => {
+    const statuses = stepStatuses({
+        steps: [{ math: 'constructor(2) = 2constructor' }, { math: 'toString(3) = 3toString' }]
+    });
+    assert.deepEqual(statuses, ['verified', 'verified']);
+});